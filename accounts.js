@@ -0,0 +1,176 @@
+/**
+ * @file accounts.js
+ * @description Account deletion and data export. Deleting an account only marks it as deleted and logs it out
+ * everywhere; it can be restored for ACCOUNT_DELETION_GRACE_DAYS days (default 30). After that the purge job removes
+ * the account and everything stored about it.
+ */
+
+const Models = require("./models.js");
+const { config } = require("./config");
+
+const Users = Models.User;
+const Movies = Models.Movie;
+const RefreshTokens = Models.RefreshToken;
+const OneTimeTokens = Models.OneTimeToken;
+const Reviews = Models.Review;
+const Lists = Models.List;
+const LoginEvents = Models.LoginEvent;
+const Follows = Models.Follow;
+const Activities = Models.Activity;
+
+const gracePeriod = config.accountDeletionGraceDays * 24 * 60 * 60 * 1000;
+
+/**
+ * @param {Object} user - A deleted user
+ * @returns {Date} The time until which the account can be restored
+ */
+let restorableUntil = (user) => {
+  return new Date(user.DeletedAt.getTime() + gracePeriod);
+};
+
+/**
+ * @param {Object} user - The user document
+ * @returns {boolean} Whether the account is deleted and can still be restored
+ */
+let isRestorable = (user) => {
+  return Boolean(user.DeletedAt) && restorableUntil(user) > new Date();
+};
+
+/**
+ * Recalculates the ratings of the movies a user reviewed, which leave out the reviews of deleted accounts.
+ * @param {Object} user - The user document
+ */
+let updateRatingsOf = async (user) => {
+  const movieIds = await Reviews.find({ User: user._id }).distinct("Movie");
+  await Promise.all(
+    movieIds.map((movieId) => Reviews.updateMovieRating(movieId))
+  );
+};
+
+/**
+ * Marks the account as deleted and ends all its sessions, including the links of its reset and verification emails.
+ * Its reviews and public lists are hidden until it is restored.
+ * @param {Object} user - The user document
+ * @returns {Promise<Date>} The time until which the account can be restored
+ */
+let deleteAccount = async (user) => {
+  user.DeletedAt = new Date();
+  user.TokensRevokedAt = user.DeletedAt;
+  await user.save();
+  await RefreshTokens.revokeAll(user._id);
+  await OneTimeTokens.deleteMany({ User: user._id });
+  await updateRatingsOf(user);
+  return restorableUntil(user);
+};
+
+/**
+ * Undoes the deletion of an account.
+ * @param {Object} user - The user document
+ * @returns {Promise<Object>} The user document
+ */
+let restoreAccount = async (user) => {
+  user.DeletedAt = undefined;
+  await user.save();
+  await updateRatingsOf(user);
+  return user;
+};
+
+/**
+ * Removes an account with its tokens, reviews, lists, follows, activity and login history, and updates the ratings of
+ * the movies it reviewed.
+ * @param {Object} user - The user document
+ */
+let purgeAccount = async (user) => {
+  const movieIds = await Reviews.find({ User: user._id }).distinct("Movie");
+  await Promise.all([
+    RefreshTokens.deleteMany({ User: user._id }),
+    OneTimeTokens.deleteMany({ User: user._id }),
+    Reviews.deleteMany({ User: user._id }),
+    Lists.deleteMany({ User: user._id }),
+    LoginEvents.deleteMany({ User: user._id }),
+    Follows.deleteMany({
+      $or: [{ Follower: user._id }, { Followee: user._id }],
+    }),
+    Activities.deleteMany({ User: user._id }),
+  ]);
+  await Promise.all(
+    movieIds.map((movieId) => Reviews.updateMovieRating(movieId))
+  );
+  await Users.deleteOne({ _id: user._id });
+};
+
+/**
+ * Purges the accounts whose grace period has ended.
+ * @param {Date} [now] - The current time
+ * @returns {Promise<number>} The number of accounts purged
+ */
+let purgeDeletedAccounts = async (now = new Date()) => {
+  const users = await Users.find({
+    DeletedAt: { $lte: new Date(now.getTime() - gracePeriod) },
+  });
+  for (const user of users) {
+    await purgeAccount(user);
+  }
+  return users.length;
+};
+
+/**
+ * Collects everything stored about a user: the profile without the password hash, the favorites, reviews and lists
+ * with the titles of their movies, the followed users and the login history.
+ * @param {Object} user - The user document
+ * @returns {Promise<Object>} `{ exportedAt, profile, favorites, reviews, lists, following, logins }`
+ */
+let exportAccount = async (user) => {
+  const [favorites, reviews, lists, following, logins] = await Promise.all([
+    Movies.find({ _id: { $in: user.FavoriteMovies } })
+      .select("Title Year")
+      .lean(),
+    Reviews.find({ User: user._id })
+      .select("-User")
+      .populate("Movie", "Title Year")
+      .sort({ createdAt: 1 })
+      .lean(),
+    Lists.find({ User: user._id })
+      .select("-User")
+      .populate("Items.Movie", "Title Year")
+      .sort({ createdAt: 1 })
+      .lean(),
+    Follows.find({ Follower: user._id })
+      .select("Followee createdAt")
+      .populate("Followee", "Username")
+      .sort({ createdAt: 1 })
+      .lean(),
+    LoginEvents.find({ User: user._id })
+      .select("-User")
+      .sort({ createdAt: -1 })
+      .lean(),
+  ]);
+
+  let profile = user.toObject();
+  delete profile.Password;
+
+  // favorites in the order they were added
+  const favoritesById = new Map(
+    favorites.map((movie) => [movie._id.toString(), movie])
+  );
+  return {
+    exportedAt: new Date(),
+    profile,
+    favorites: user.FavoriteMovies.map((id) =>
+      favoritesById.get(id.toString())
+    ).filter(Boolean),
+    reviews,
+    lists,
+    following,
+    logins,
+  };
+};
+
+module.exports = {
+  restorableUntil,
+  isRestorable,
+  deleteAccount,
+  restoreAccount,
+  purgeDeletedAccounts,
+  exportAccount,
+};
@@ -0,0 +1,41 @@
+/**
+ * @file activity.js
+ * @description Records what users do, for the feeds of their followers (see GET /feed). The routes call these helpers
+ * once a change has been saved; undoing it removes the activity again, so feeds show what is still true.
+ */
+
+const Models = require("./models.js");
+
+const Activities = Models.Activity;
+
+/**
+ * Records an activity. An earlier activity of the same kind for the same movie or list is replaced, which moves it to
+ * the top of the feeds again, e.g. when a rating is changed.
+ * @param {Object} userId - The ID of the user who did it
+ * @param {string} kind - "favorite", "rating" or "list"
+ * @param {Object} target - `{ Movie }` or `{ List }`
+ * @param {number} [rating] - The rating given, for "rating" activities
+ * @returns {Promise}
+ */
+let recordActivity = (userId, kind, target, rating) => {
+  let update = { createdAt: new Date() };
+  if (rating !== undefined) update.Rating = rating;
+  return Activities.updateOne(
+    { User: userId, Kind: kind, ...target },
+    { $set: update },
+    { upsert: true }
+  );
+};
+
+/**
+ * Removes the activity of a user for a movie or list, when the action is undone.
+ * @param {Object} userId - The ID of the user
+ * @param {string} kind - "favorite", "rating" or "list"
+ * @param {Object} target - `{ Movie }` or `{ List }`
+ * @returns {Promise}
+ */
+let removeActivity = (userId, kind, target) => {
+  return Activities.deleteMany({ User: userId, Kind: kind, ...target });
+};
+
+module.exports = { recordActivity, removeActivity };
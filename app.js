@@ -0,0 +1,89 @@
+/**
+ * @file app.js
+ * @description The express app of the MovieBase API: middleware, the routes from routes/ under /api/v1 (and at the root
+ * for older clients) and the error handlers. It does not connect to the database or listen, so it can be used in tests;
+ * index.js runs the server.
+ */
+
+const express = require("express");
+const { config } = require("./config");
+const { requestLogger } = require("./logger");
+const { ForbiddenError, errorHandler, notFoundHandler } = require("./errors");
+const api = require("./routes");
+const { openApiDocument } = require("./openapi");
+const { healthz, readyz } = require("./health");
+const { recordMetrics, metricsHandler } = require("./metrics");
+
+const app = express();
+// number of proxies in front of the app, so req.ip is the client address used for rate limiting
+app.set("trust proxy", config.trustProxy);
+
+// request IDs and request logging, first so that every response has an ID
+app.use(requestLogger);
+
+// operational endpoints, outside the API and not counted in the request metrics
+app.get("/healthz", healthz);
+app.get("/readyz", readyz);
+app.get("/metrics", metricsHandler);
+app.use(recordMetrics);
+
+// imports are larger than other requests, so their route parses them itself once the admin is authenticated
+const importPaths = ["/api/v1/movies/import", "/movies/import"];
+const parseJson = express.json();
+app.use((req, res, next) => {
+  if (importPaths.includes(req.path)) return next();
+  parseJson(req, res, next);
+});
+app.use(express.urlencoded({ extended: true }));
+
+/**
+ * @constant {function} cors
+ * @description Configures the CORS policy for the application. The allowed origins are set with ALLOWED_ORIGINS.
+ */
+const cors = require("cors");
+app.use(
+  cors({
+    origin: (origin, callback) => {
+      if (!origin) return callback(null, true);
+      if (config.allowedOrigins.indexOf(origin) === -1) {
+        // If a specific origin isn’t found on the list of allowed origins
+        let message =
+          "The CORS policy for this application doesn’t allow access from origin " +
+          origin;
+        return callback(new ForbiddenError(message), false);
+      }
+      return callback(null, true);
+    },
+  })
+);
+
+/**
+ * @name Root endpoint
+ * @description Displays welcome message with a link to the OpenAPI document.
+ * @route {GET} /
+ */
+app.get("/", (req, res) => {
+  res.send(
+    "Welcome to the MovieBase API! Please see /api/v1/openapi.json for its description."
+  );
+});
+
+/**
+ * @route {GET} /api/v1/openapi.json
+ * @name OpenAPI document
+ * @description Returns the OpenAPI 3 description of the API, generated from the routes and their validators.
+ * @authentication No authentication required.
+ */
+app.get("/api/v1/openapi.json", (req, res) => {
+  res.json(openApiDocument(api, "/api/v1"));
+});
+
+app.use("/api/v1", api);
+// the unversioned paths are kept as aliases of v1
+app.use(api);
+
+// error handling
+app.use(notFoundHandler);
+app.use(errorHandler);
+
+module.exports = app;
@@ -0,0 +1,471 @@
+/**
+ * @file bulk.js
+ * @description Bulk import and export of the movie catalog as JSON or CSV, shared by the admin endpoints and the
+ * scripts in scripts/. Both formats use the same flat rows, with genres and directors given by name, so an export can
+ * be imported again. Imports upsert by Title and Year and report the outcome of every row.
+ */
+
+const Models = require("./models.js");
+const { BadRequestError } = require("./errors");
+
+const Movies = Models.Movie;
+const Genres = Models.Genre;
+const Directors = Models.Director;
+
+/**
+ * @constant {string} importSizeLimit
+ * @description The largest import request body, JSON or CSV, the API accepts.
+ */
+const importSizeLimit = "5mb";
+
+/**
+ * @constant {string[]} columns
+ * @description The fields of an imported or exported movie row, in CSV column order. Lists (Languages, Genres, Directors
+ * and Cast) are arrays in JSON and separated by ";" in CSV, where a cast member is written as "Actor (Character)".
+ */
+const columns = [
+  "Title",
+  "Year",
+  "ReleaseDate",
+  "Runtime",
+  "MPAARating",
+  "Languages",
+  "Description",
+  "Genres",
+  "Directors",
+  "Cast",
+  "PosterSmall",
+  "PosterMedium",
+  "PosterLarge",
+  "BackdropSmall",
+  "BackdropMedium",
+  "BackdropLarge",
+  "Featured",
+];
+
+// the movie paths of the image columns
+const imagePaths = {
+  PosterSmall: "Images.Poster.Small",
+  PosterMedium: "Images.Poster.Medium",
+  PosterLarge: "Images.Poster.Large",
+  BackdropSmall: "Images.Backdrop.Small",
+  BackdropMedium: "Images.Backdrop.Medium",
+  BackdropLarge: "Images.Backdrop.Large",
+};
+
+const formats = ["json", "csv"];
+
+/**
+ * Splits CSV text (RFC 4180: quoted fields, "" escapes, CRLF or LF line ends) into records.
+ * @param {string} text
+ * @returns {string[][]} The records, without blank lines
+ */
+let parseCSVRecords = (text) => {
+  let records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  let endRecord = () => {
+    record.push(field);
+    if (record.length > 1 || record[0] !== "") records.push(record);
+    record = [];
+    field = "";
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new BadRequestError("The CSV ends inside a quoted field");
+  }
+  if (field !== "" || record.length) endRecord();
+  return records;
+};
+
+/**
+ * Parses an import file into rows.
+ * @param {string} text - The file contents
+ * @param {string} format - "json" (an array of movie objects) or "csv" (a header row naming the columns, then one movie per line)
+ * @returns {Object[]} The rows, as objects keyed by column name
+ */
+let parseMovies = (text, format) => {
+  if (format === "json") {
+    let rows;
+    try {
+      rows = JSON.parse(text);
+    } catch (err) {
+      throw new BadRequestError("Invalid JSON: " + err.message);
+    }
+    if (!Array.isArray(rows)) {
+      throw new BadRequestError("The JSON must be an array of movies");
+    }
+    return rows;
+  }
+  if (format === "csv") {
+    const [header, ...records] = parseCSVRecords(text);
+    if (!header || !header.includes("Title")) {
+      throw new BadRequestError(
+        "The CSV needs a header row with a Title column"
+      );
+    }
+    return records.map((record) =>
+      Object.fromEntries(header.map((name, i) => [name.trim(), record[i]]))
+    );
+  }
+  throw new BadRequestError("Unknown format " + format);
+};
+
+/**
+ * Reads a list value: an array, or a string separated by ";".
+ * @param {*} value
+ * @returns {Array|null} null if the value is not a list
+ */
+let listValue = (value) => {
+  if (typeof value === "string") {
+    value = value.split(";").map((item) => item.trim());
+  }
+  return Array.isArray(value) ? value.filter((item) => item !== "") : null;
+};
+
+/**
+ * Reads a cast member: an object, or a string "Actor (Character)".
+ * @param {Object|string} member
+ * @returns {Object|null} `{ Actor, Character, Order }`, or null if the member is invalid
+ */
+let castMember = (member) => {
+  if (typeof member === "string") {
+    const [, actor, character] = member.match(/^(.*?)\s*(?:\((.*)\))?$/);
+    member = { Actor: actor, Character: character };
+  }
+  if (!member || typeof member.Actor !== "string" || !member.Actor.trim()) {
+    return null;
+  }
+  return {
+    Actor: member.Actor.trim(),
+    Character: member.Character || undefined,
+    Order: member.Order,
+  };
+};
+
+/**
+ * Converts a parsed row into movie fields. Empty and missing values are left out, so they don't change existing movies.
+ * @param {Object} row - A row from parseMovies
+ * @returns {{fields: Object, errors: Object[]}} The fields that were given, keyed by column, and `[{ field, message }]` for invalid values
+ */
+let normalizeRow = (row) => {
+  let fields = {};
+  let errors = [];
+  if (!row || typeof row !== "object" || Array.isArray(row)) {
+    return { fields, errors: [{ field: null, message: "Not a movie object" }] };
+  }
+  let invalid = (column, message) => errors.push({ field: column, message });
+
+  columns.forEach((column) => {
+    let value = row[column];
+    if (typeof value === "string") value = value.trim();
+    if (value === undefined || value === null || value === "") return;
+
+    switch (column) {
+      case "Year":
+      case "Runtime":
+        if (!Number.isInteger(Number(value))) {
+          invalid(column, column + " must be a whole number");
+        } else {
+          fields[column] = Number(value);
+        }
+        break;
+      case "ReleaseDate":
+        if (isNaN(Date.parse(value))) {
+          invalid(column, "ReleaseDate must be a date (YYYY-MM-DD)");
+        } else {
+          fields.ReleaseDate = new Date(value);
+        }
+        break;
+      case "Languages":
+      case "Genres":
+      case "Directors": {
+        // exports and API responses hold the whole genre and director documents
+        const names = (listValue(value) || [null]).map((item) =>
+          item && typeof item === "object" ? item.Name : item
+        );
+        if (names.some((name) => typeof name !== "string")) {
+          invalid(column, column + " must be a list of names");
+        } else {
+          fields[column] = names;
+        }
+        break;
+      }
+      case "Cast": {
+        const cast = (listValue(value) || [null]).map(castMember);
+        if (cast.includes(null)) {
+          invalid(column, "Every cast member needs an Actor");
+        } else {
+          fields.Cast = cast;
+        }
+        break;
+      }
+      case "Featured":
+        if (typeof value === "string" && /^(true|false)$/i.test(value)) {
+          value = value.toLowerCase() === "true";
+        }
+        if (typeof value !== "boolean") {
+          invalid(column, "Featured must be true or false");
+        } else {
+          fields.Featured = value;
+        }
+        break;
+      default:
+        if (typeof value !== "string") {
+          invalid(column, column + " must be a string");
+        } else {
+          fields[column] = value;
+        }
+    }
+  });
+
+  if (!fields.Title && !errors.some((error) => error.field === "Title")) {
+    invalid("Title", "Title is required");
+  }
+  // derives the Year from the ReleaseDate and numbers the Cast, like saving the movie does
+  Movies.normalizeFields(fields);
+  return { fields, errors };
+};
+
+let plain = (value) => {
+  if (value && typeof value.toObject === "function") value = value.toObject();
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Imports movies, creating those that are new and updating those with the same Title and Year.
+ * Genres and directors are looked up by name and created if they don't exist yet.
+ * Every row is validated against the movie schema; invalid rows are reported and skipped, the others are still imported.
+ * @param {Object[]} rows - Rows from parseMovies
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Only report what would change, without writing anything
+ * @returns {Promise<Object>} The report: `{ dryRun, summary, newGenres, newDirectors, rows }`, where `rows` holds
+ * `{ row, Title, Year, status, changes, errors }` for every row (numbered from 1), with status created, updated, unchanged or failed
+ */
+let importMovies = async (rows, { dryRun = false } = {}) => {
+  let summary = { created: 0, updated: 0, unchanged: 0, failed: 0 };
+  let references = {
+    Genres: { Model: Genres, byName: new Map(), created: new Set() },
+    Directors: { Model: Directors, byName: new Map(), created: new Set() },
+  };
+  let seen = new Map();
+  let results = [];
+
+  // finds the genre or director with this name, or prepares a new one that is only saved when a valid row uses it
+  let reference = async (field, name) => {
+    const { Model, byName } = references[field];
+    if (!byName.has(name)) {
+      byName.set(
+        name,
+        (await Model.findOne({ Name: name })) || new Model({ Name: name })
+      );
+    }
+    return byName.get(name);
+  };
+
+  for (const [index, row] of rows.entries()) {
+    const { fields, errors } = normalizeRow(row);
+    let result = {
+      row: index + 1,
+      Title: fields.Title,
+      Year: fields.Year,
+    };
+    results.push(result);
+
+    const key = fields.Title + "\u0000" + fields.Year;
+    if (fields.Title && seen.has(key)) {
+      errors.push({
+        field: "Title",
+        message: "Same Title and Year as row " + seen.get(key),
+      });
+    }
+    if (errors.length) {
+      summary.failed++;
+      Object.assign(result, { status: "failed", errors });
+      continue;
+    }
+    seen.set(key, result.row);
+
+    try {
+      // movie paths and values to set
+      let values = {};
+      let newReferences = [];
+      for (const [column, value] of Object.entries(fields)) {
+        if (references[column]) {
+          values[column] = [];
+          for (const name of value) {
+            const doc = await reference(column, name);
+            if (doc.isNew) newReferences.push([column, doc]);
+            values[column].push(doc._id);
+          }
+        } else {
+          values[imagePaths[column] || column] = value;
+        }
+      }
+
+      let movie = await Movies.findOne({
+        Title: fields.Title,
+        Year: fields.Year === undefined ? null : fields.Year,
+      });
+      const changes = Object.keys(fields).filter(
+        (column) =>
+          !movie ||
+          plain(movie.get(imagePaths[column] || column)) !==
+            plain(values[imagePaths[column] || column])
+      );
+      movie = movie || new Movies();
+      Object.entries(values).forEach(([path, value]) => movie.set(path, value));
+
+      try {
+        await movie.validate();
+      } catch (invalid) {
+        if (!invalid.errors) throw invalid;
+        summary.failed++;
+        Object.assign(result, {
+          status: "failed",
+          errors: Object.values(invalid.errors).map((error) => ({
+            field: error.path,
+            message: error.message,
+          })),
+        });
+        continue;
+      }
+
+      result.status = movie.isNew
+        ? "created"
+        : changes.length
+        ? "updated"
+        : "unchanged";
+      if (result.status === "updated") result.changes = changes;
+
+      for (const [field, doc] of newReferences) {
+        references[field].created.add(doc.Name);
+        if (!dryRun) await doc.save();
+      }
+      if (!dryRun && result.status !== "unchanged") await movie.save();
+      summary[result.status]++;
+    } catch (err) {
+      summary.failed++;
+      Object.assign(result, {
+        status: "failed",
+        errors: [{ field: null, message: err.message }],
+      });
+    }
+  }
+
+  return {
+    dryRun,
+    summary,
+    newGenres: [...references.Genres.created],
+    newDirectors: [...references.Directors.created],
+    rows: results,
+  };
+};
+
+/**
+ * Converts a movie with populated Genres and Directors into an export row.
+ * @param {Object} movie - A plain movie object
+ * @returns {Object}
+ */
+let toRow = (movie) => {
+  const image = (path) =>
+    path.split(".").reduce((obj, key) => obj && obj[key], movie);
+  let row = {
+    Title: movie.Title,
+    Year: movie.Year,
+    ReleaseDate: movie.ReleaseDate
+      ? movie.ReleaseDate.toISOString().slice(0, 10)
+      : undefined,
+    Runtime: movie.Runtime,
+    MPAARating: movie.MPAARating,
+    Languages: movie.Languages || [],
+    Description: movie.Description,
+    Genres: (movie.Genres || []).map((genre) => genre.Name),
+    Directors: (movie.Directors || []).map((director) => director.Name),
+    Cast: (movie.Cast || []).map(({ Actor, Character, Order }) => ({
+      Actor,
+      Character,
+      Order,
+    })),
+    Featured: movie.Featured,
+  };
+  Object.entries(imagePaths).forEach(([column, path]) => {
+    row[column] = image(path);
+  });
+  return row;
+};
+
+let csvValue = (value) => {
+  if (value === undefined || value === null) return "";
+  value = Array.isArray(value) ? value.join("; ") : String(value);
+  return /[",\r\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+};
+
+/**
+ * Exports the whole catalog, sorted by Title and Year. Movies are read with a cursor and the output is produced piece by
+ * piece, so it can be streamed without holding the catalog in memory.
+ * @param {string} format - "json" or "csv"
+ * @returns {AsyncGenerator<string>} The chunks of the export, e.g. for `stream.Readable.from()`
+ */
+async function* exportMovies(format) {
+  const cursor = Movies.find()
+    .sort({ Title: 1, Year: 1 })
+    .withDetails()
+    .lean()
+    .cursor();
+
+  if (format === "csv") {
+    yield columns.join(",") + "\n";
+    for await (const movie of cursor) {
+      let row = toRow(movie);
+      row.Cast = row.Cast.map(({ Actor, Character }) =>
+        Character ? Actor + " (" + Character + ")" : Actor
+      );
+      yield columns.map((column) => csvValue(row[column])).join(",") + "\n";
+    }
+    return;
+  }
+
+  let first = true;
+  yield "[";
+  for await (const movie of cursor) {
+    yield (first ? "\n" : ",\n") + JSON.stringify(toRow(movie));
+    first = false;
+  }
+  yield first ? "]\n" : "\n]\n";
+}
+
+module.exports = {
+  columns,
+  formats,
+  importSizeLimit,
+  parseMovies,
+  importMovies,
+  exportMovies,
+};
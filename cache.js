@@ -0,0 +1,113 @@
+/**
+ * @file cache.js
+ * @description In-process cache for the catalog reads (movies, genres and directors) and support for conditional requests.
+ * Responses holding a single document carry a Last-Modified header taken from the newest `updatedAt` they contain;
+ * lists do not, since removing a movie changes a list without moving any date forward. Express adds the ETag and
+ * answers `If-None-Match` / `If-Modified-Since` with 304 Not Modified.
+ * The cache is emptied whenever a movie, genre or director is written through mongoose in this process. Entries also
+ * expire after CATALOG_CACHE_TTL seconds (default 300, 0 disables the cache), which bounds how long writes made by other
+ * processes, such as other API instances or the scripts in scripts/, can go unnoticed.
+ */
+
+const { config } = require("./config");
+
+const ttl = config.catalogCacheTtl * 1000;
+const maxEntries = 500;
+
+let entries = new Map();
+// changes on every invalidation, so responses read before a write are not cached after it
+let generation = 0;
+
+/**
+ * Drops all cached responses.
+ */
+let invalidateCatalog = () => {
+  entries.clear();
+  generation++;
+};
+
+/**
+ * Mongoose plugin that empties the cache after every write to a collection of the schema.
+ * @param {Object} schema - A mongoose schema
+ */
+let invalidatesCatalog = (schema) => {
+  schema.post(["save", "insertMany"], invalidateCatalog);
+  schema.post(
+    [
+      "updateOne",
+      "updateMany",
+      "replaceOne",
+      "findOneAndUpdate",
+      "findOneAndReplace",
+      "findOneAndDelete",
+      "deleteMany",
+    ],
+    invalidateCatalog
+  );
+  schema.post("deleteOne", { document: true, query: true }, invalidateCatalog);
+};
+
+/**
+ * Finds the newest `updatedAt` in a JSON response holding a single document.
+ * @param {*} body - The response body
+ * @param {string} json - The body as JSON
+ * @returns {Date|null} null for lists, whether plain arrays or pages (`{ data, ... }`)
+ */
+let lastModified = (body, json) => {
+  if (!body || Array.isArray(body) || Array.isArray(body.data)) return null;
+  let latest = 0;
+  for (const [, date] of json.matchAll(/"updatedAt":"([^"]+)"/g)) {
+    latest = Math.max(latest, Date.parse(date) || 0);
+  }
+  return latest ? new Date(latest) : null;
+};
+
+let send = (res, entry) => {
+  // clients may keep the response, but have to revalidate it on every use
+  res.set("Cache-Control", "private, no-cache");
+  if (entry.lastModified) {
+    res.set("Last-Modified", entry.lastModified.toUTCString());
+  }
+  res.type("json").send(entry.json);
+};
+
+/**
+ * Express middleware serving a catalog GET route from the cache, and caching the JSON the route sends otherwise.
+ * Responses are cached by URL, so only use it for routes whose response is the same for every user. Errors are sent
+ * as they are, without caching.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {function} next
+ */
+let catalogCache = (req, res, next) => {
+  // baseUrl is part of the key because the pagination links contain it
+  const key = req.baseUrl + req.url;
+  const cached = entries.get(key);
+  if (cached && cached.expires > Date.now()) {
+    return send(res, cached);
+  }
+
+  const started = generation;
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode !== 200) return sendJson(body);
+
+    const json = JSON.stringify(body);
+    const entry = {
+      json,
+      lastModified: lastModified(body, json),
+      expires: Date.now() + ttl,
+    };
+    if (ttl > 0 && generation === started) {
+      entries.delete(key);
+      if (entries.size >= maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+      entries.set(key, entry);
+    }
+    send(res, entry);
+  };
+  next();
+};
+
+module.exports = { catalogCache, invalidateCatalog, invalidatesCatalog };
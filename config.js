@@ -0,0 +1,181 @@
+/**
+ * @file config.js
+ * @description Application settings, read once at startup from the environment and from a `.env` file in the working
+ * directory (variables that are already set in the environment win). Missing secrets and invalid values stop the
+ * process right away with a list of all problems, instead of failing at the first request that needs them.
+ * All variables are described in .env.example.
+ */
+
+require("dotenv").config();
+
+/**
+ * @constant {string[]} defaultOrigins
+ * @description The client apps allowed by CORS when ALLOWED_ORIGINS is not set.
+ */
+const defaultOrigins = [
+  "http://localhost:1234",
+  "http://localhost:4200",
+  "https://projectmoviebase.netlify.app",
+  "https://elodloic.github.io",
+  "http://movie-base-client.s3-website.eu-central-1.amazonaws.com",
+];
+
+const minSecretLength = 32;
+
+class ConfigError extends Error {
+  /**
+   * @param {string[]} problems - One message per invalid setting
+   */
+  constructor(problems) {
+    super("Invalid configuration:\n  - " + problems.join("\n  - "));
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+/**
+ * Parses JWT_KEYS, a comma separated list of `kid:secret` pairs. The first key signs new tokens; the others are only
+ * used to verify tokens signed before the key was rotated, and can be removed once those tokens have expired.
+ * @param {string} value
+ * @param {string[]} problems - Collects the problems found
+ * @returns {Object[]} `[{ id, secret }]`
+ */
+let parseJwtKeys = (value, problems) => {
+  let keys = value
+    .split(",")
+    .map((pair) => pair.trim())
+    .filter(Boolean)
+    .map((pair) => {
+      const separator = pair.indexOf(":");
+      return {
+        id: separator === -1 ? "" : pair.slice(0, separator),
+        secret: separator === -1 ? pair : pair.slice(separator + 1),
+      };
+    });
+
+  if (!keys.length) problems.push("JWT_KEYS needs at least one key");
+  keys.forEach((key, index) => {
+    if (!/^[\w.-]+$/.test(key.id)) {
+      problems.push(
+        "JWT_KEYS entry " + (index + 1) + " needs a kid: kid:secret"
+      );
+    } else if (key.secret.length < minSecretLength) {
+      problems.push(
+        "The JWT secret " +
+          key.id +
+          " must be at least " +
+          minSecretLength +
+          " characters long"
+      );
+    }
+  });
+  if (new Set(keys.map((key) => key.id)).size !== keys.length) {
+    problems.push("JWT_KEYS contains the same kid twice");
+  }
+  return keys;
+};
+
+/**
+ * Reads and validates the settings.
+ * @param {Object} env - The environment variables
+ * @returns {Object} The settings
+ * @throws {ConfigError} If settings are missing or invalid
+ */
+let readConfig = (env) => {
+  let problems = [];
+
+  let string = (name, fallback) =>
+    env[name] === undefined || env[name] === "" ? fallback : env[name];
+  let required = (name) => {
+    const value = string(name);
+    if (value === undefined) problems.push(name + " is required");
+    return value;
+  };
+  let integer = (name, fallback, min, max) => {
+    const value = string(name);
+    if (value === undefined) return fallback;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+      problems.push(
+        name + " must be a whole number from " + min + " to " + max
+      );
+      return fallback;
+    }
+    return number;
+  };
+  let oneOf = (name, values, fallback) => {
+    const value = string(name, fallback);
+    if (!values.includes(value)) {
+      problems.push(name + " must be one of " + values.join(", "));
+    }
+    return value;
+  };
+  let list = (name, fallback) => {
+    const value = string(name);
+    if (value === undefined) return fallback;
+    return value
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean);
+  };
+
+  const jwtExpiresIn = string("JWT_EXPIRES_IN", "15m");
+  if (!/^\d+[smhd]?$/.test(jwtExpiresIn)) {
+    problems.push("JWT_EXPIRES_IN must be a duration such as 900, 15m or 1h");
+  }
+
+  const config = {
+    port: integer("PORT", 8080, 0, 65535),
+    logLevel: oneOf(
+      "LOG_LEVEL",
+      ["fatal", "error", "warn", "info", "debug", "trace", "silent"],
+      "info"
+    ),
+    mongoUri: required("CONNECTION_URI"),
+    // number of proxies in front of the app, so req.ip is the client address used for rate limiting
+    trustProxy: integer("TRUST_PROXY", 0, 0, 100),
+    allowedOrigins: list("ALLOWED_ORIGINS", defaultOrigins),
+    jwt: {
+      keys: parseJwtKeys(required("JWT_KEYS") || "", problems),
+      expiresIn: /^\d+$/.test(jwtExpiresIn)
+        ? Number(jwtExpiresIn)
+        : jwtExpiresIn,
+      refreshTokenDays: integer("REFRESH_TOKEN_DAYS", 30, 1, 365),
+    },
+    bcryptCost: integer("BCRYPT_COST", 10, 4, 15),
+    limits: {
+      windowMinutes: integer("LOGIN_LIMIT_WINDOW", 15, 1, 1440),
+      loginDelayAfter: integer("LOGIN_DELAY_AFTER", 5, 1, 1000),
+      loginPerIp: integer("LOGIN_LIMIT_PER_IP", 20, 1, 10000),
+      loginPerUsername: integer("LOGIN_LIMIT_PER_USERNAME", 10, 1, 10000),
+      signupsPerHour: integer("SIGNUP_LIMIT_PER_HOUR", 10, 1, 10000),
+      resetsPerIp: integer("RESET_LIMIT_PER_IP", 20, 1, 10000),
+      resetsPerEmail: integer("RESET_LIMIT_PER_EMAIL", 3, 1, 10000),
+    },
+    mail: {
+      transport: oneOf("MAIL_TRANSPORT", ["smtp", "file", "console"], "smtp"),
+      smtpUrl: string("SMTP_URL", "smtp://localhost:1025"),
+      dir: string("MAIL_DIR", "mail"),
+      from: string("MAIL_FROM", "MovieBase <no-reply@moviebase.local>"),
+    },
+    appUrl: string("APP_URL", "http://localhost:1234"),
+    catalogCacheTtl: integer("CATALOG_CACHE_TTL", 300, 0, 86400),
+    shutdownTimeout: integer("SHUTDOWN_TIMEOUT", 10, 0, 600),
+    accountDeletionGraceDays: integer(
+      "ACCOUNT_DELETION_GRACE_DAYS",
+      30,
+      0,
+      365
+    ),
+    // 0 turns the purge job off, e.g. when scripts/purge-deleted-accounts.js runs from cron instead
+    purgeIntervalMinutes: integer("PURGE_INTERVAL_MINUTES", 60, 0, 10080),
+    eventReplaySize: integer("EVENT_REPLAY_SIZE", 1000, 0, 100000),
+  };
+
+  if (problems.length) throw new ConfigError(problems);
+  return config;
+};
+
+const config = readConfig(process.env);
+
+module.exports = { config, readConfig, ConfigError };
@@ -0,0 +1,67 @@
+/**
+ * @file emails.js
+ * @description Composes and sends the account emails: address verification and password reset.
+ * Links point to the client app at APP_URL, which passes the token on to the API.
+ */
+
+const Models = require("./models.js");
+const { sendMail } = require("./mailer");
+const { config } = require("./config");
+
+const OneTimeTokens = Models.OneTimeToken;
+
+const appUrl = config.appUrl;
+
+const verificationLifetime = 24 * 60 * 60 * 1000; // 24 hours
+const resetLifetime = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Sends the user a link to verify their email address.
+ * @param {Object} user - The user document
+ * @returns {Promise}
+ */
+let sendVerificationEmail = async (user) => {
+  const token = await OneTimeTokens.issue(
+    user._id,
+    "verify-email",
+    verificationLifetime
+  );
+  return sendMail({
+    to: user.Email,
+    subject: "Verify your MovieBase email address",
+    text:
+      "Hi " +
+      user.Username +
+      ",\n\nplease confirm your email address by opening this link within 24 hours:\n" +
+      appUrl +
+      "/verify-email?token=" +
+      token,
+  });
+};
+
+/**
+ * Sends the user a link to choose a new password.
+ * @param {Object} user - The user document
+ * @returns {Promise}
+ */
+let sendPasswordResetEmail = async (user) => {
+  const token = await OneTimeTokens.issue(
+    user._id,
+    "reset-password",
+    resetLifetime
+  );
+  return sendMail({
+    to: user.Email,
+    subject: "Reset your MovieBase password",
+    text:
+      "Hi " +
+      user.Username +
+      ",\n\nopen this link within one hour to choose a new password:\n" +
+      appUrl +
+      "/reset-password?token=" +
+      token +
+      "\n\nIf you did not ask for a new password you can ignore this email.",
+  });
+};
+
+module.exports = { sendVerificationEmail, sendPasswordResetEmail };
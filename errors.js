@@ -0,0 +1,177 @@
+/**
+ * @file errors.js
+ * @description Error types for the API and the middleware that turns errors into RFC 7807 problem details
+ * (`application/problem+json`): `{ type, title, status, detail, requestId }`, plus `errors` with the invalid fields for
+ * validation errors.
+ * Routes pass errors to `next()`; anything that is not an HttpError is reported as a 500 without details.
+ */
+
+/**
+ * Base class for errors that are reported to the client as they are.
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} type - Problem type slug, becomes `/problems/<type>`
+   * @param {string} title - Short summary of the problem type
+   * @param {string} [detail] - Explanation of this occurrence of the problem
+   */
+  constructor(status, type, title, detail) {
+    super(detail || title);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.type = type;
+    this.title = title;
+    this.detail = detail;
+  }
+
+  /**
+   * @returns {Object} The problem details object sent to the client
+   */
+  toProblem() {
+    let problem = {
+      type: "/problems/" + this.type,
+      title: this.title,
+      status: this.status,
+    };
+    if (this.detail) problem.detail = this.detail;
+    return problem;
+  }
+}
+
+class BadRequestError extends HttpError {
+  constructor(detail) {
+    super(400, "bad-request", "Bad request", detail);
+  }
+}
+
+class UnauthorizedError extends HttpError {
+  constructor(detail) {
+    super(401, "unauthorized", "Authentication required", detail);
+  }
+}
+
+class ForbiddenError extends HttpError {
+  constructor(detail = "Permission denied") {
+    super(403, "forbidden", "Forbidden", detail);
+  }
+}
+
+class NotFoundError extends HttpError {
+  constructor(detail) {
+    super(404, "not-found", "Not found", detail);
+  }
+}
+
+class ConflictError extends HttpError {
+  constructor(detail) {
+    super(409, "conflict", "Conflict", detail);
+  }
+}
+
+class ValidationError extends HttpError {
+  /**
+   * @param {Object[]} fieldErrors - Errors of the invalid fields, as returned by express-validator's `validationResult().array()`
+   * @param {string} [detail]
+   */
+  constructor(fieldErrors, detail = "The request contains invalid fields") {
+    super(422, "validation-error", "Validation failed", detail);
+    this.errors = fieldErrors.map((error) => ({
+      field: error.path,
+      location: error.location,
+      message: error.msg,
+    }));
+  }
+
+  toProblem() {
+    return { ...super.toProblem(), errors: this.errors };
+  }
+}
+
+class TooManyRequestsError extends HttpError {
+  constructor(detail = "Too many attempts, please try again later.") {
+    super(429, "too-many-requests", "Too many requests", detail);
+  }
+}
+
+/**
+ * Converts known errors from mongoose, MongoDB and the body parser into HttpErrors.
+ * @param {Error} err
+ * @returns {HttpError|Error} The matching HttpError, or `err` itself if it is unexpected
+ */
+let toHttpError = (err) => {
+  if (err instanceof HttpError) return err;
+  if (err.code === 11000) {
+    const field = Object.keys(err.keyValue || {})[0];
+    return new ConflictError(
+      field
+        ? field + ' "' + err.keyValue[field] + '" already exists'
+        : "The resource already exists"
+    );
+  }
+  if (err.name === "CastError") {
+    return new BadRequestError("Invalid value for " + err.path);
+  }
+  if (err.name === "ValidationError" && err.errors) {
+    return new ValidationError(
+      Object.values(err.errors).map((error) => ({
+        path: error.path,
+        location: "body",
+        msg: error.message,
+      }))
+    );
+  }
+  // errors from body-parser and other middleware that are safe to show
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return new HttpError(err.status, "bad-request", "Bad request", err.message);
+  }
+  return err;
+};
+
+/**
+ * Express error handler sending every error as problem details.
+ * @param {Error} err
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {function} next
+ */
+let errorHandler = (err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  let error = toHttpError(err);
+  if (!(error instanceof HttpError)) {
+    // logged with the request ID, which the client gets to report the problem
+    res.err = err;
+    error = new HttpError(500, "internal-error", "Internal server error");
+  }
+
+  res
+    .status(error.status)
+    .type("application/problem+json")
+    .json({ ...error.toProblem(), requestId: req.id });
+};
+
+/**
+ * Express middleware for requests that match no route.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {function} next
+ */
+let notFoundHandler = (req, res, next) => {
+  next(new NotFoundError("No route for " + req.method + " " + req.path));
+};
+
+module.exports = {
+  HttpError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  ValidationError,
+  TooManyRequestsError,
+  errorHandler,
+  notFoundHandler,
+};
@@ -0,0 +1,112 @@
+/**
+ * @file events.js
+ * @description Real-time events for clients (see GET /events). Routes publish an event once a change has been saved, and
+ * every open event stream receives the events meant for its user. The last EVENT_REPLAY_SIZE events (default 1000) are
+ * kept in memory, so a client that reconnects with the ID of the last event it received gets what it missed.
+ * Events only reach the clients of the process that published them. Event IDs name the process, so a client that
+ * reconnects to another instance, or after a restart, is told to refetch instead.
+ */
+
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const { config } = require("./config");
+
+// prefix of the event IDs of this process
+const streamId = crypto.randomBytes(4).toString("hex");
+
+let sequence = 0;
+let history = [];
+
+const emitter = new EventEmitter();
+// one listener per open stream
+emitter.setMaxListeners(0);
+
+/**
+ * Publishes an event to the open streams.
+ * @param {string} type - The event type, e.g. "movie.created"
+ * @param {Object} data - The payload, serialized right away
+ * @param {Object} [userId] - The user the event is meant for; events without a user go to everyone
+ */
+let publish = (type, data, userId) => {
+  sequence++;
+  const event = {
+    id: streamId + "-" + sequence,
+    sequence,
+    type,
+    data: JSON.stringify(data),
+    userId: userId ? userId.toString() : null,
+  };
+  history.push(event);
+  if (history.length > config.eventReplaySize) history.shift();
+  emitter.emit("event", event);
+};
+
+/**
+ * @returns {string} The ID of the latest event, which clients can replay from
+ */
+let lastEventId = () => {
+  return streamId + "-" + sequence;
+};
+
+/**
+ * @param {Object} event
+ * @param {string} userId
+ * @returns {boolean} Whether the event is meant for the user
+ */
+let isFor = (event, userId) => {
+  return !event.userId || event.userId === userId;
+};
+
+/**
+ * Finds the events a client missed while it was disconnected.
+ * @param {string} eventId - The ID of the last event the client received
+ * @param {string} userId - The ID of the user
+ * @returns {Object[]|null} The missed events, oldest first, or null if they are no longer known and the client has to
+ * refetch
+ */
+let eventsSince = (eventId, userId) => {
+  const [id, seq] = eventId.split("-");
+  const since = Number(seq);
+  if (id !== streamId || !Number.isInteger(since) || since > sequence) {
+    return null;
+  }
+  // the oldest event kept must directly follow the last one received
+  if (since < sequence - history.length) return null;
+  return history.filter(
+    (event) => event.sequence > since && isFor(event, userId)
+  );
+};
+
+/**
+ * Passes every new event meant for the user to a listener until unsubscribed.
+ * @param {string} userId - The ID of the user
+ * @param {function} listener - Called with each event
+ * @param {function} onClose - Called when the server shuts down
+ * @returns {function} Ends the subscription
+ */
+let subscribe = (userId, listener, onClose) => {
+  const onEvent = (event) => {
+    if (isFor(event, userId)) listener(event);
+  };
+  emitter.on("event", onEvent);
+  emitter.on("close", onClose);
+  return () => {
+    emitter.off("event", onEvent);
+    emitter.off("close", onClose);
+  };
+};
+
+/**
+ * Ends all open streams, so the server can shut down.
+ */
+let closeStreams = () => {
+  emitter.emit("close");
+};
+
+module.exports = {
+  publish,
+  lastEventId,
+  eventsSince,
+  subscribe,
+  closeStreams,
+};
@@ -0,0 +1,47 @@
+/**
+ * @file health.js
+ * @description Liveness and readiness checks for load balancers and orchestrators. The server is live as long as it
+ * answers; it is ready when the database connection is up and it is not shutting down.
+ */
+
+const mongoose = require("mongoose");
+
+let shuttingDown = false;
+
+/**
+ * Makes the readiness check fail, so load balancers stop sending requests while the server drains.
+ */
+let markShuttingDown = () => {
+  shuttingDown = true;
+};
+
+/**
+ * @route {GET} /healthz
+ * @name Liveness check
+ * @description Returns 200 with `{ status: "ok", uptime }` while the process is running.
+ * @authentication No authentication required.
+ */
+let healthz = (req, res) => {
+  res.set("Cache-Control", "no-store");
+  res.json({ status: "ok", uptime: process.uptime() });
+};
+
+/**
+ * @route {GET} /readyz
+ * @name Readiness check
+ * @description Returns 200 with `{ status: "ready", database: "connected" }` when requests can be served, otherwise 503
+ * with status "unavailable", the state of the database connection and whether the server is shutting down.
+ * @authentication No authentication required.
+ */
+let readyz = (req, res) => {
+  const state = mongoose.connection.readyState;
+  const ready = !shuttingDown && state === mongoose.STATES.connected;
+  res.set("Cache-Control", "no-store");
+  res.status(ready ? 200 : 503).json({
+    status: ready ? "ready" : "unavailable",
+    database: mongoose.STATES[state],
+    shuttingDown,
+  });
+};
+
+module.exports = { healthz, readyz, markShuttingDown };
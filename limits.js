@@ -0,0 +1,93 @@
+/**
+ * @file limits.js
+ * @description Rate limiting and progressive delays for the login and signup endpoints, against password guessing, and
+ * for password reset requests, against flooding mailboxes with reset emails.
+ * Counters are kept in memory per server process.
+ */
+
+const { rateLimit } = require("express-rate-limit");
+const { slowDown } = require("express-slow-down");
+const { TooManyRequestsError } = require("./errors");
+const { config } = require("./config");
+
+const limits = config.limits;
+const limitWindow = limits.windowMinutes * 60 * 1000;
+
+/**
+ * Reads the username a login attempt is for. /login accepts it in the body or the query string, account restores
+ * and password changes take it from the path.
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+let loginUsername = (req) => {
+  return String(
+    (req.body && req.body.Username) ||
+      req.query.Username ||
+      req.params.Username ||
+      ""
+  ).toLowerCase();
+};
+
+let tooMany = (req, res, next) => {
+  next(new TooManyRequestsError());
+};
+
+/**
+ * @constant {Array} loginLimits
+ * @description Middleware for POST /login, account restores and password changes. Failed attempts are counted per IP and per username; after a few failures
+ * every further attempt is delayed a little longer, and after more failures attempts are rejected for the rest of the window.
+ */
+const loginLimits = [
+  slowDown({
+    windowMs: limitWindow,
+    delayAfter: limits.loginDelayAfter,
+    delayMs: (used, req) => (used - req.slowDown.limit) * 500,
+    maxDelayMs: 10 * 1000,
+    skipSuccessfulRequests: true,
+  }),
+  rateLimit({
+    windowMs: limitWindow,
+    limit: limits.loginPerIp,
+    skipSuccessfulRequests: true,
+    handler: tooMany,
+  }),
+  rateLimit({
+    windowMs: limitWindow,
+    limit: limits.loginPerUsername,
+    skipSuccessfulRequests: true,
+    keyGenerator: loginUsername,
+    handler: tooMany,
+  }),
+];
+
+/**
+ * @constant {function} signupLimit
+ * @description Middleware for POST /users, limiting the number of accounts created from one IP.
+ */
+const signupLimit = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  limit: limits.signupsPerHour,
+  handler: tooMany,
+});
+
+/**
+ * @constant {Array} passwordResetLimits
+ * @description Middleware for POST /password/forgot, limiting the reset emails requested per IP and per address in an
+ * hour. Every request counts, as the response is the same whether an account exists or not.
+ */
+const passwordResetLimits = [
+  rateLimit({
+    windowMs: 60 * 60 * 1000,
+    limit: limits.resetsPerIp,
+    handler: tooMany,
+  }),
+  rateLimit({
+    windowMs: 60 * 60 * 1000,
+    limit: limits.resetsPerEmail,
+    keyGenerator: (req) =>
+      String((req.body && req.body.Email) || "").toLowerCase(),
+    handler: tooMany,
+  }),
+];
+
+module.exports = { loginLimits, signupLimit, passwordResetLimits };
@@ -0,0 +1,106 @@
+/**
+ * @file logger.js
+ * @description Structured JSON logging with pino. Every request gets an ID, taken from a valid incoming `X-Request-Id`
+ * header (e.g. set by a proxy) or generated, which is echoed in the `X-Request-Id` response header, added to every log
+ * line written through `req.log` and to error responses. Passwords, tokens and credentials are redacted.
+ */
+
+const crypto = require("crypto");
+const pino = require("pino");
+const pinoHttp = require("pino-http");
+const { config } = require("./config");
+
+const censor = "[REDACTED]";
+
+/**
+ * @constant {string[]} sensitiveFields
+ * @description Body, query and log fields whose values are never logged.
+ */
+const sensitiveFields = [
+  "Password",
+  "password",
+  "token",
+  "refreshToken",
+  "authorization",
+  "access_token",
+];
+
+const logger = pino({
+  level: config.logLevel,
+  redact: {
+    paths: [
+      "req.headers.authorization",
+      "req.headers.cookie",
+      ...sensitiveFields,
+      ...sensitiveFields.map((field) => "*." + field),
+    ],
+    censor,
+  },
+});
+
+/**
+ * Replaces the values of sensitive query parameters, e.g. the password of `/login?Username=...&Password=...`.
+ * @param {string} url - The request URL
+ * @returns {string}
+ */
+let redactUrl = (url) => {
+  const queryStart = url.indexOf("?");
+  if (queryStart === -1) return url;
+  const query = url
+    .slice(queryStart + 1)
+    .split("&")
+    .map((pair) => {
+      const name = decodeURIComponent(pair.split("=")[0]);
+      return sensitiveFields.includes(name)
+        ? pair.split("=")[0] + "=" + censor
+        : pair;
+    })
+    .join("&");
+  return url.slice(0, queryStart + 1) + query;
+};
+
+/**
+ * Uses the incoming request ID if it looks like one, so a request can be followed through proxies, or generates one.
+ * @param {Object} req - Node request
+ * @param {Object} res - Node response
+ * @returns {string}
+ */
+let requestId = (req, res) => {
+  const incoming = req.headers["x-request-id"];
+  const id =
+    typeof incoming === "string" && /^[\w.:-]{1,128}$/.test(incoming)
+      ? incoming
+      : crypto.randomUUID();
+  res.setHeader("X-Request-Id", id);
+  return id;
+};
+
+/**
+ * Express middleware assigning the request ID, providing `req.log` and logging every request once it is answered:
+ * 5xx responses at level error, 4xx at warn and everything else at info. The operational endpoints are not logged.
+ */
+const requestLogger = pinoHttp({
+  logger,
+  genReqId: requestId,
+  customLogLevel: (req, res, err) => {
+    if (err || res.statusCode >= 500) return "error";
+    if (res.statusCode >= 400) return "warn";
+    return "info";
+  },
+  autoLogging: {
+    ignore: (req) => ["/healthz", "/readyz", "/metrics"].includes(req.url),
+  },
+  serializers: {
+    req: (req) => ({
+      id: req.id,
+      method: req.method,
+      url: redactUrl(req.url),
+      ip: req.raw.ip,
+      userAgent: req.headers["user-agent"],
+    }),
+    res: (res) => ({ statusCode: res.statusCode }),
+  },
+  wrapSerializers: true,
+});
+
+module.exports = { logger, requestLogger, redactUrl };
@@ -0,0 +1,80 @@
+/**
+ * @file mailer.js
+ * @description Sends email through a pluggable transport, chosen with the MAIL_TRANSPORT environment variable:
+ * "smtp" (default, configured with SMTP_URL, e.g. a local SMTP catcher), "file" (writes .eml files to MAIL_DIR)
+ * or "console" (logs the messages).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+const { config } = require("./config");
+const { logger } = require("./logger");
+
+const from = config.mail.from;
+
+/**
+ * Creates the transport named by MAIL_TRANSPORT.
+ * @returns {Object} An object with an async `sendMail(message)` method
+ */
+let createTransport = () => {
+  switch (config.mail.transport) {
+    case "console": {
+      const transport = nodemailer.createTransport({ jsonTransport: true });
+      return {
+        sendMail: async (message) => {
+          const info = await transport.sendMail(message);
+          logger.info({ mail: JSON.parse(info.message) }, "Mail");
+          return info;
+        },
+      };
+    }
+    case "file": {
+      const dir = config.mail.dir;
+      const transport = nodemailer.createTransport({
+        streamTransport: true,
+        buffer: true,
+      });
+      return {
+        sendMail: async (message) => {
+          const info = await transport.sendMail(message);
+          await fs.promises.mkdir(dir, { recursive: true });
+          await fs.promises.writeFile(
+            path.join(
+              dir,
+              Date.now() + "-" + info.messageId.replace(/[<>@]/g, "") + ".eml"
+            ),
+            info.message
+          );
+          return info;
+        },
+      };
+    }
+    case "smtp":
+      return nodemailer.createTransport(config.mail.smtpUrl);
+  }
+};
+
+let transport = createTransport();
+
+/**
+ * Replaces the transport, e.g. with a stub in tests.
+ * @param {Object} newTransport - An object with an async `sendMail(message)` method
+ */
+let setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+/**
+ * Sends an email.
+ * @param {Object} message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @returns {Promise<Object>} The transport's result
+ */
+let sendMail = (message) => {
+  return transport.sendMail({ from, ...message });
+};
+
+module.exports = { sendMail, setTransport };
@@ -0,0 +1,63 @@
+/**
+ * @file metrics.js
+ * @description Prometheus metrics: request counts and latencies per route and status, plus the default Node.js process
+ * metrics, served in the Prometheus text format at /metrics.
+ */
+
+const client = require("prom-client");
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const requestCount = new client.Counter({
+  name: "http_requests_total",
+  help: "Number of HTTP requests",
+  labelNames: ["method", "route", "status"],
+  registers: [register],
+});
+
+const requestDuration = new client.Histogram({
+  name: "http_request_duration_seconds",
+  help: "Time to answer HTTP requests in seconds",
+  labelNames: ["method", "route", "status"],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register],
+});
+
+/**
+ * Express middleware that records every request once its response is sent. Requests are labeled with the route
+ * pattern (e.g. "/movies/:Title") rather than the URL, so the number of series stays bounded; the /api/v1 routes and
+ * their unversioned aliases share a label.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {function} next
+ */
+let recordMetrics = (req, res, next) => {
+  const stopTimer = requestDuration.startTimer();
+  res.on("finish", () => {
+    const labels = {
+      method: req.method,
+      route: req.route ? req.route.path : "unmatched",
+      status: res.statusCode,
+    };
+    requestCount.inc(labels);
+    stopTimer(labels);
+  });
+  next();
+};
+
+/**
+ * @route {GET} /metrics
+ * @name Metrics
+ * @description Returns the metrics in the Prometheus text format.
+ * @authentication No authentication required, keep it reachable from the monitoring network only.
+ */
+let metricsHandler = async (req, res, next) => {
+  try {
+    res.type(register.contentType).send(await register.metrics());
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = { register, recordMetrics, metricsHandler };
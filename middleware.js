@@ -0,0 +1,52 @@
+/**
+ * @file middleware.js
+ * @description Route middleware shared by all endpoints: JWT authentication, express-validator result checking and
+ * common checks. Failures are reported through the error handler.
+ */
+
+const passport = require("passport");
+const { param, validationResult } = require("express-validator");
+const { UnauthorizedError, ValidationError } = require("./errors");
+
+require("./passport"); // Local passport file
+
+/**
+ * Authenticates the request with the JWT bearer token and sets `req.user`.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {function} next
+ */
+let requireAuth = (req, res, next) => {
+  passport.authenticate("jwt", { session: false }, (error, user) => {
+    if (error) return next(error);
+    if (!user) {
+      return next(new UnauthorizedError("A valid access token is required"));
+    }
+    req.user = user;
+    next();
+  })(req, res, next);
+};
+
+/**
+ * Fails the request with a ValidationError if any express-validator check before it failed.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {function} next
+ */
+let validate = (req, res, next) => {
+  // check the validation object for errors
+  let errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    return next(new ValidationError(errors.array()));
+  }
+  next();
+};
+
+/**
+ * @constant {function} idCheck
+ * @description express-validator check for an `:id` route parameter holding a MongoDB ID.
+ */
+const idCheck = param("id", "Invalid ID").isMongoId();
+
+module.exports = { requireAuth, validate, idCheck };
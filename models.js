@@ -1,45 +1,474 @@
 /**
  * @file models.js
- * @description Defines the database schema for the movie and user data.
+ * @description Defines the database schema for the movie, genre, director, review, list, user, follow, activity, login
+ * event and token data.
  */
 
 const mongoose = require("mongoose");
 const bcrypt = require("bcrypt");
+const crypto = require("crypto");
+const { invalidatesCatalog } = require("./cache");
+const { ownSearchFields, searchWords } = require("./search");
+const { config } = require("./config");
 
-let movieSchema = mongoose.Schema({
-  Title: { type: String, required: true },
-  Description: { type: String, required: true },
-  Genre: {
-    Name: String,
+/**
+ * Leaves fields out of the JSON of a schema's documents, so they are never sent to clients whatever a route serializes.
+ * Does not apply to lean queries and toObject().
+ * @param {Object} schema - A mongoose schema
+ * @param {string[]} fields - The fields to leave out
+ */
+let hideInJSON = (schema, fields) => {
+  schema.hiddenInJSON = fields; // read by the OpenAPI generator
+  schema.set("toJSON", {
+    transform: (doc, ret) => {
+      fields.forEach((field) => delete ret[field]);
+      return ret;
+    },
+  });
+};
+
+let genreSchema = mongoose.Schema(
+  {
+    Name: { type: String, required: true, unique: true },
     Description: String,
   },
-  Director: {
-    Name: String,
+  { timestamps: true }
+);
+
+let directorSchema = mongoose.Schema(
+  {
+    Name: { type: String, required: true },
     Bio: String,
+    BirthYear: Number,
+    DeathYear: Number,
+  },
+  { timestamps: true }
+);
+
+// One image in several sizes, as URLs
+let imageSizesSchema = mongoose.Schema(
+  { Small: String, Medium: String, Large: String },
+  { _id: false }
+);
+
+let castSchema = mongoose.Schema(
+  {
+    Actor: { type: String, required: true },
+    Character: String,
+    Order: Number, // billing order, starting at 1
+  },
+  { _id: false }
+);
+
+// SchemaVersion 2 replaced the single Genre and Director, the Actors names and the ImagePath of version 1 with
+// Genres, Directors, Cast and Images (see scripts/migrate-movie-metadata.js)
+let movieSchema = mongoose.Schema(
+  {
+    SchemaVersion: { type: Number, default: 2 },
+    Title: { type: String, required: true },
+    Year: { type: Number, min: 1870, max: 2100 }, // release year, tells apart movies with the same title
+    ReleaseDate: Date,
+    Runtime: { type: Number, min: 1 }, // in minutes
+    MPAARating: {
+      type: String,
+      enum: ["G", "PG", "PG-13", "R", "NC-17", "NR"],
+    },
+    Languages: [String], // ISO 639-1 codes, original language first
+    Description: { type: String, required: true },
+    Genres: [{ type: mongoose.Schema.Types.ObjectId, ref: "Genre" }],
+    Directors: [{ type: mongoose.Schema.Types.ObjectId, ref: "Director" }],
+    Cast: [castSchema],
+    Images: { Poster: imageSizesSchema, Backdrop: imageSizesSchema },
+    Featured: Boolean,
+    // kept up to date from the movie's reviews by Review.updateMovieRating
+    AverageRating: Number,
+    ReviewCount: { type: Number, default: 0 },
+    // the words of the searchable fields, for the indexed prefilter of the search (see search.js)
+    SearchWords: { type: [String], select: false },
   },
-  Actors: [String],
-  ImagePath: String,
-  Featured: Boolean,
+  { timestamps: true }
+);
+
+movieSchema.index({ Title: 1, Year: 1 });
+movieSchema.index({ SearchWords: 1 });
+hideInJSON(movieSchema, ["SearchWords"]);
+
+/**
+ * Derives the Year from the ReleaseDate and puts the Cast in billing order, numbering it from 1.
+ * Members without an Order keep their place relative to each other, after those with one.
+ * @param {Object} fields - Movie fields, changed in place
+ */
+let normalizeMovieFields = (fields) => {
+  if (fields.ReleaseDate) {
+    fields.Year = new Date(fields.ReleaseDate).getUTCFullYear();
+  }
+  if (Array.isArray(fields.Cast)) {
+    const ordered = fields.Cast.map((member, index) => ({
+      member,
+      index,
+    })).sort(
+      (a, b) =>
+        (a.member.Order || Infinity) - (b.member.Order || Infinity) ||
+        a.index - b.index
+    );
+    fields.Cast = ordered.map(({ member }, index) => ({
+      Actor: member.Actor,
+      Character: member.Character,
+      Order: index + 1,
+    }));
+  }
+};
+
+movieSchema.pre("validate", function () {
+  let fields = { ReleaseDate: this.ReleaseDate };
+  if (this.isModified("Cast")) fields.Cast = this.Cast.toObject();
+  normalizeMovieFields(fields);
+  if (fields.ReleaseDate) this.Year = fields.Year;
+  if (fields.Cast) this.Cast = fields.Cast;
+  if (this.isNew || ownSearchFields.some((field) => this.isModified(field))) {
+    this.SearchWords = searchWords(this.toObject());
+  }
+});
+
+movieSchema.pre(["findOneAndUpdate", "updateOne"], function () {
+  const update = this.getUpdate();
+  if (!update || !update.$set) return;
+  normalizeMovieFields(update.$set);
+  // a full replacement unsets the Year it was not given
+  if (update.$set.Year !== undefined && update.$unset) {
+    delete update.$unset.Year;
+  }
 });
 
+// the SearchWords of a partly updated movie can only be worked out from the result
+movieSchema.pre("findOneAndUpdate", function () {
+  const update = this.getUpdate() || {};
+  this._updatesSearchWords = ownSearchFields.some(
+    (field) => field in (update.$set || {}) || field in (update.$unset || {})
+  );
+});
+
+movieSchema.post("findOneAndUpdate", async function (doc) {
+  if (!doc || !this._updatesSearchWords) return;
+  const movie = await this.model
+    .findById(doc._id)
+    .select(ownSearchFields.join(" "))
+    .lean();
+  if (movie) {
+    // through the driver, so this does not run the hooks again
+    await this.model.collection.updateOne(
+      { _id: movie._id },
+      { $set: { SearchWords: searchWords(movie) } }
+    );
+  }
+});
+
+movieSchema.statics.normalizeFields = normalizeMovieFields;
+
+// cached catalog responses are dropped whenever the catalog changes
+[genreSchema, directorSchema, movieSchema].forEach((schema) =>
+  schema.plugin(invalidatesCatalog)
+);
+
+// Replaces the Genres and Directors references with the full documents
+movieSchema.query.withDetails = function () {
+  return this.populate("Genres").populate("Directors");
+};
+
 let userSchema = mongoose.Schema({
   Username: { type: String, required: true },
   Password: { type: String, required: true },
   Email: { type: String, required: true },
+  EmailVerified: { type: Boolean, default: false },
   Birthday: Date,
   FavoriteMovies: [{ type: mongoose.Schema.Types.ObjectId, ref: "Movie" }],
+  Role: { type: String, enum: ["user", "admin"], default: "user" },
+  PasswordChangedAt: Date,
+  TokensRevokedAt: Date,
+  FailedLoginAttempts: { type: Number, default: 0 },
+  LockedUntil: Date,
+  // whether other users can see the profile, follow the user and see their activity
+  PublicProfile: { type: Boolean, default: false },
+  // set when the user deletes the account, which is purged after a grace period (see accounts.js)
+  DeletedAt: { type: Date, index: { sparse: true } },
 });
 
+// the password hash and the bookkeeping of logins and sessions stay on the server
+hideInJSON(userSchema, [
+  "Password",
+  "PasswordChangedAt",
+  "TokensRevokedAt",
+  "FailedLoginAttempts",
+  "LockedUntil",
+  "__v",
+]);
+
 userSchema.statics.hashPassword = (password) => {
-  return bcrypt.hashSync(password, 10);
+  return bcrypt.hashSync(password, config.bcryptCost);
 };
 
 userSchema.methods.validatePassword = function (password) {
   return bcrypt.compareSync(password, this.Password);
 };
 
+const maxFailedLogins = 5;
+const lockoutTime = 15 * 60 * 1000; // 15 minutes, doubled for every further lockout in a row
+
+userSchema.methods.isLocked = function () {
+  return Boolean(this.LockedUntil && this.LockedUntil > new Date());
+};
+
+// Counts a failed login and locks the account after too many failures in a row
+userSchema.methods.registerFailedLogin = function () {
+  this.FailedLoginAttempts += 1;
+  if (this.FailedLoginAttempts % maxFailedLogins === 0) {
+    const lockouts = this.FailedLoginAttempts / maxFailedLogins;
+    this.LockedUntil = new Date(Date.now() + lockoutTime * 2 ** (lockouts - 1));
+  }
+  return this.save();
+};
+
+userSchema.methods.registerSuccessfulLogin = function () {
+  if (!this.FailedLoginAttempts && !this.LockedUntil)
+    return Promise.resolve(this);
+  this.FailedLoginAttempts = 0;
+  this.LockedUntil = undefined;
+  return this.save();
+};
+
+// Access tokens issued before this time are no longer accepted
+userSchema.methods.tokensValidSince = function () {
+  return Math.max(
+    this.PasswordChangedAt ? this.PasswordChangedAt.getTime() : 0,
+    this.TokensRevokedAt ? this.TokensRevokedAt.getTime() : 0
+  );
+};
+
+// The IDs of the deleted accounts that can still be restored, whose content is hidden from other users
+userSchema.statics.deletedIds = function () {
+  return this.find({ DeletedAt: { $ne: null } }).distinct("_id");
+};
+
+// Refresh tokens are only stored as SHA-256 hashes. Every refresh replaces the token with a new one of the same
+// Family, so a token that is presented again after being replaced reveals a stolen token.
+let refreshTokenSchema = mongoose.Schema({
+  User: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  TokenHash: { type: String, required: true, unique: true },
+  Family: { type: String, required: true },
+  ExpiresAt: { type: Date, required: true, expires: 0 },
+  RevokedAt: Date,
+  ReplacedBy: String,
+});
+
+let hashToken = (token) => {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+refreshTokenSchema.statics.hashToken = hashToken;
+hideInJSON(refreshTokenSchema, ["TokenHash", "ReplacedBy"]);
+
+// Revokes all refresh tokens of a user, e.g. after a password change
+refreshTokenSchema.statics.revokeAll = function (userId) {
+  return this.updateMany(
+    { User: userId, RevokedAt: null },
+    { $set: { RevokedAt: new Date() } }
+  );
+};
+
+// Single use tokens sent by email, for verifying the address or resetting the password. Only hashes are stored.
+let oneTimeTokenSchema = mongoose.Schema({
+  User: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  Purpose: {
+    type: String,
+    enum: ["verify-email", "reset-password"],
+    required: true,
+  },
+  TokenHash: { type: String, required: true, unique: true },
+  ExpiresAt: { type: Date, required: true, expires: 0 },
+});
+
+oneTimeTokenSchema.statics.hashToken = hashToken;
+hideInJSON(oneTimeTokenSchema, ["TokenHash"]);
+
+// Creates a token for the user, replacing any earlier token with the same purpose, and returns it unhashed
+oneTimeTokenSchema.statics.issue = async function (userId, purpose, lifetime) {
+  const token = crypto.randomBytes(32).toString("hex");
+  await this.deleteMany({ User: userId, Purpose: purpose });
+  await this.create({
+    User: userId,
+    Purpose: purpose,
+    TokenHash: hashToken(token),
+    ExpiresAt: new Date(Date.now() + lifetime),
+  });
+  return token;
+};
+
+// Finds and deletes a valid token, so it can only be used once. Resolves to null if the token is invalid or expired.
+oneTimeTokenSchema.statics.consume = function (token, purpose) {
+  return this.findOneAndDelete({
+    TokenHash: hashToken(token),
+    Purpose: purpose,
+    ExpiresAt: { $gt: new Date() },
+  });
+};
+
+// Audit trail of login attempts, kept for 90 days
+let loginEventSchema = mongoose.Schema({
+  User: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  Username: String,
+  Success: { type: Boolean, required: true },
+  Reason: String,
+  Ip: String,
+  UserAgent: String,
+  createdAt: { type: Date, default: Date.now, expires: "90d" },
+});
+
+let reviewSchema = mongoose.Schema(
+  {
+    User: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    Movie: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Movie",
+      required: true,
+    },
+    Rating: { type: Number, required: true, min: 1, max: 10 },
+    Text: String,
+  },
+  { timestamps: true }
+);
+
+// A user can review each movie once
+reviewSchema.index({ Movie: 1, User: 1 }, { unique: true });
+
+// Recalculates the AverageRating and ReviewCount stored on a movie, leaving out the reviews of deleted accounts
+reviewSchema.statics.updateMovieRating = async function (movieId) {
+  const [stats] = await this.aggregate([
+    { $match: { Movie: new mongoose.Types.ObjectId(movieId) } },
+    {
+      $lookup: {
+        from: User.collection.name,
+        localField: "User",
+        foreignField: "_id",
+        as: "_User",
+      },
+    },
+    { $match: { "_User.DeletedAt": null } },
+    {
+      $group: { _id: null, average: { $avg: "$Rating" }, count: { $sum: 1 } },
+    },
+  ]);
+  return Movie.updateOne(
+    { _id: movieId },
+    stats
+      ? { $set: { AverageRating: stats.average, ReviewCount: stats.count } }
+      : { $set: { ReviewCount: 0 }, $unset: { AverageRating: "" } }
+  );
+};
+
+// Every user has one "watchlist" ("Watch later") and one "watched" list, plus any number of custom lists.
+// Items are kept in the order the user chose.
+let listSchema = mongoose.Schema(
+  {
+    User: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    Name: { type: String, required: true },
+    Kind: {
+      type: String,
+      enum: ["watchlist", "watched", "custom"],
+      default: "custom",
+    },
+    Public: { type: Boolean, default: false },
+    Slug: {
+      type: String,
+      unique: true,
+      default: () => crypto.randomBytes(9).toString("base64url"),
+    },
+    Items: [
+      {
+        _id: false,
+        Movie: { type: mongoose.Schema.Types.ObjectId, ref: "Movie" },
+        AddedAt: { type: Date, default: Date.now },
+        WatchedAt: Date,
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+listSchema.statics.defaultLists = {
+  watchlist: "Watch later",
+  watched: "Watched",
+};
+
+// Creates the user's watchlist and watched list if they do not exist yet
+listSchema.statics.ensureDefaultLists = function (userId) {
+  return Promise.all(
+    Object.entries(this.defaultLists).map(([kind, name]) =>
+      this.updateOne(
+        { User: userId, Kind: kind },
+        { $setOnInsert: { Name: name } },
+        { upsert: true, setDefaultsOnInsert: true }
+      )
+    )
+  );
+};
+
+// One user following another
+let followSchema = mongoose.Schema(
+  {
+    Follower: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    Followee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+followSchema.index({ Follower: 1, Followee: 1 }, { unique: true });
+followSchema.index({ Followee: 1 });
+
+// Things users did, shown in the feeds of their followers: a movie added to the favorites, a movie rated or a list
+// made public. There is one activity per user, kind and movie or list; it is removed when the action is undone.
+let activitySchema = mongoose.Schema({
+  User: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  Kind: {
+    type: String,
+    enum: ["favorite", "rating", "list"],
+    required: true,
+  },
+  Movie: { type: mongoose.Schema.Types.ObjectId, ref: "Movie" },
+  Rating: Number,
+  List: { type: mongoose.Schema.Types.ObjectId, ref: "List" },
+  createdAt: { type: Date, default: Date.now },
+});
+
+activitySchema.index({ User: 1, createdAt: -1 });
+
+let Genre = mongoose.model("Genre", genreSchema);
+let Director = mongoose.model("Director", directorSchema);
 let Movie = mongoose.model("Movie", movieSchema);
 let User = mongoose.model("User", userSchema);
+let RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema);
+let OneTimeToken = mongoose.model("OneTimeToken", oneTimeTokenSchema);
+let LoginEvent = mongoose.model("LoginEvent", loginEventSchema);
+let Review = mongoose.model("Review", reviewSchema);
+let List = mongoose.model("List", listSchema);
+let Follow = mongoose.model("Follow", followSchema);
+let Activity = mongoose.model("Activity", activitySchema);
 
+module.exports.Genre = Genre;
+module.exports.Director = Director;
 module.exports.Movie = Movie;
 module.exports.User = User;
+module.exports.RefreshToken = RefreshToken;
+module.exports.OneTimeToken = OneTimeToken;
+module.exports.LoginEvent = LoginEvent;
+module.exports.Review = Review;
+module.exports.List = List;
+module.exports.Follow = Follow;
+module.exports.Activity = Activity;
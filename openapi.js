@@ -0,0 +1,454 @@
+/**
+ * @file openapi.js
+ * @description Generates the OpenAPI 3 document of the API from the express routers themselves. Parameters and
+ * request bodies are read from the express-validator checks of each route and security requirements from its
+ * middleware, so the document cannot drift from what the API actually accepts. The schemas of the documents sent to
+ * clients are read from the mongoose models, and routes declare which of them they respond with using `responds()`.
+ */
+
+const { version } = require("./package.json");
+const { requireAuth } = require("./middleware");
+const Models = require("./models.js");
+
+const mongoIdPattern = "^[0-9a-fA-F]{24}$";
+
+// the models whose documents are sent to clients, described under components.schemas by their model name
+const documentModels = ["Genre", "Director", "Movie", "Review", "List", "User"];
+
+/**
+ * Refers to the schema of a model's documents.
+ * @param {string} name - The model name, e.g. "Movie"
+ * @returns {Object}
+ */
+let schemaRef = (name) => ({ $ref: "#/components/schemas/" + name });
+
+/**
+ * The schema of one page of a paginated list (see pagination.js).
+ * @param {Object} itemSchema - The schema of the items on the page
+ * @returns {Object}
+ */
+let pageOf = (itemSchema) => {
+  const link = { type: "string" };
+  return {
+    type: "object",
+    properties: {
+      data: { type: "array", items: itemSchema },
+      total: { type: "integer" },
+      page: { type: "integer" },
+      limit: { type: "integer" },
+      pages: { type: "integer" },
+      links: {
+        type: "object",
+        properties: {
+          self: link,
+          next: { ...link, nullable: true },
+          prev: { ...link, nullable: true },
+        },
+      },
+    },
+  };
+};
+
+/**
+ * @constant {Object} tokensSchema
+ * @description The schema of a new access token and refresh token.
+ */
+const tokensSchema = {
+  type: "object",
+  properties: { token: { type: "string" }, refreshToken: { type: "string" } },
+};
+
+/**
+ * @constant {Object} sessionSchema
+ * @description The schema of the responses holding the user with new tokens. Routes that keep the session send no
+ * refreshToken.
+ */
+const sessionSchema = {
+  type: "object",
+  properties: { user: schemaRef("User"), ...tokensSchema.properties },
+};
+
+/**
+ * Declares the JSON a route responds with when it succeeds. The middleware does nothing but mark the route for the
+ * OpenAPI document.
+ * @param {number} status - The status of the response, e.g. 201
+ * @param {Object} schema - The JSON schema of the response body, e.g. `schemaRef("Movie")`
+ * @returns {function} Express middleware
+ */
+let responds = (status, schema) => {
+  let middleware = (req, res, next) => next();
+  middleware.response = { status, schema }; // read by operation()
+  return middleware;
+};
+
+/**
+ * Lists the routes of a router and of the routers mounted on it without a path.
+ * @param {Object} router - An express Router
+ * @returns {Object[]} `[{ path, method, handles }]`
+ */
+let collectRoutes = (router) => {
+  let routes = [];
+  router.stack.forEach((layer) => {
+    if (layer.route) {
+      Object.keys(layer.route.methods).forEach((method) => {
+        routes.push({
+          path: layer.route.path,
+          method,
+          handles: layer.route.stack
+            .filter(
+              (routeLayer) => !routeLayer.method || routeLayer.method === method
+            )
+            .map((routeLayer) => routeLayer.handle),
+        });
+      });
+    } else if (layer.handle && layer.handle.stack) {
+      routes.push(...collectRoutes(layer.handle));
+    }
+  });
+  return routes;
+};
+
+/**
+ * Translates the validators and sanitizers of an express-validator chain into a JSON schema.
+ * @param {Object} context - The built chain (`chain.builder.build()`)
+ * @returns {Object|null} The schema, or null if the chain forbids the field
+ */
+let chainSchema = (context) => {
+  let schema = { type: "string" };
+  for (const item of context.stack) {
+    if (item.sanitizer) {
+      if (item.sanitizer.name === "toInt") schema.type = "integer";
+      if (item.sanitizer.name === "toBoolean") schema.type = "boolean";
+      if (item.sanitizer.name === "toDate") schema.format = "date-time";
+      continue;
+    }
+    const name = item.validator && item.validator.name;
+    const options = (item.options && item.options[0]) || {};
+    if (item.negated) {
+      if (name === "isEmpty") schema.minLength = 1;
+      // .not().exists() and similar: the field must not be sent
+      if (!item.options) return null;
+      continue;
+    }
+    switch (name) {
+      case "isInt":
+        schema.type = "integer";
+        if (options.min !== undefined) schema.minimum = options.min;
+        if (options.max !== undefined) schema.maximum = options.max;
+        break;
+      case "isBoolean":
+        schema.type = "boolean";
+        break;
+      case "isArray":
+        schema.type = "array";
+        schema.items = schema.items || { type: "string" };
+        break;
+      case "isEmail":
+        schema.format = "email";
+        break;
+      case "isISO8601":
+        schema.format = "date-time";
+        break;
+      case "isMongoId":
+        schema.pattern = mongoIdPattern;
+        break;
+      case "isAlphanumeric":
+        schema.pattern = "^[A-Za-z0-9]+$";
+        break;
+      case "isLength":
+        if (options.min) schema.minLength = options.min;
+        if (options.max !== undefined) schema.maxLength = options.max;
+        break;
+      case "isIn":
+        schema.enum = options;
+        break;
+      case "notEmpty":
+        schema.minLength = 1;
+        break;
+    }
+  }
+  if (schema.type !== "string") {
+    delete schema.minLength;
+    delete schema.maxLength;
+    delete schema.pattern;
+  }
+  if (context.message && typeof context.message === "string") {
+    schema.description = context.message;
+  }
+  return schema;
+};
+
+/**
+ * Adds a field of a request body or a document to its schema. Nested fields ("Cast.*.Actor", "Images.Poster.Small") become array
+ * items and object properties.
+ * @param {Object} objectSchema - The schema of the object holding the field
+ * @param {string[]} path - The field path, split at the dots
+ * @param {Object} schema - The schema of the field
+ * @param {boolean} required - Whether the field is required in its object
+ */
+let placeBodyField = (objectSchema, [name, ...rest], schema, required) => {
+  objectSchema.properties = objectSchema.properties || {};
+  let property = objectSchema.properties[name] || {};
+  if (!rest.length) {
+    property = { ...property, ...schema };
+    objectSchema.required = objectSchema.required || [];
+    if (required && !objectSchema.required.includes(name)) {
+      objectSchema.required.push(name);
+    }
+  } else if (rest[0] === "*") {
+    property.type = "array";
+    if (rest.length === 1) {
+      property.items = schema;
+    } else {
+      if (!property.items || property.items.type !== "object") {
+        property.items = { type: "object" };
+      }
+      placeBodyField(property.items, rest.slice(1), schema, required);
+    }
+  } else {
+    property.type = "object";
+    placeBodyField(property, rest, schema, false);
+  }
+  objectSchema.properties[name] = property;
+};
+
+let dropEmptyRequired = (schema) => {
+  if (schema.required && !schema.required.length) delete schema.required;
+  Object.values(schema.properties || {}).forEach(dropEmptyRequired);
+  if (schema.items) dropEmptyRequired(schema.items);
+};
+
+/**
+ * Translates a mongoose schema type into a JSON schema. A reference is an ID, or the referenced document where a route
+ * populates it.
+ * @param {Object} type - The schema type, from `schema.eachPath()`
+ * @returns {Object}
+ */
+let schemaTypeSchema = (type) => {
+  switch (type.instance) {
+    case "String":
+      return type.enumValues.length
+        ? { type: "string", enum: type.enumValues }
+        : { type: "string" };
+    case "Number": {
+      let schema = { type: "number" };
+      if (type.options.min !== undefined) schema.minimum = type.options.min;
+      if (type.options.max !== undefined) schema.maximum = type.options.max;
+      return schema;
+    }
+    case "Date":
+      return { type: "string", format: "date-time" };
+    case "Boolean":
+      return { type: "boolean" };
+    case "ObjectId": {
+      const id = { type: "string", pattern: mongoIdPattern };
+      return documentModels.includes(type.options.ref)
+        ? { oneOf: [id, schemaRef(type.options.ref)] }
+        : id;
+    }
+    case "Array":
+      return {
+        type: "array",
+        items: type.schema
+          ? documentSchema(type.schema)
+          : schemaTypeSchema(type.caster),
+      };
+    case "Embedded":
+      return documentSchema(type.schema);
+    default:
+      return {};
+  }
+};
+
+/**
+ * Translates a mongoose schema into the JSON schema of its documents as sent to clients, without the fields hidden
+ * from their JSON.
+ * @param {Object} schema - A mongoose schema
+ * @returns {Object}
+ */
+let documentSchema = (schema) => {
+  let objectSchema = { type: "object", properties: {} };
+  schema.eachPath((path, type) => {
+    if ((schema.hiddenInJSON || []).includes(path)) return;
+    placeBodyField(objectSchema, path.split("."), schemaTypeSchema(type));
+  });
+  dropEmptyRequired(objectSchema);
+  return objectSchema;
+};
+
+/**
+ * Builds the OpenAPI operation for one route.
+ * @param {Object} route - `{ path, method, handles }` from collectRoutes
+ * @returns {Object}
+ */
+let operation = (route) => {
+  const pathParams = (route.path.match(/:\w+/g) || []).map((p) => p.slice(1));
+  let parameters = {};
+  let body = { type: "object", properties: {}, required: [] };
+  let validated = false;
+  let roleRestricted = false;
+  let response = null;
+  let op = {
+    operationId:
+      route.method +
+      route.path
+        .split("/")
+        .filter(Boolean)
+        .map((part) => part.replace(/^:/, "").replace(/[^A-Za-z0-9]/g, ""))
+        .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
+        .join(""),
+    responses: {},
+  };
+
+  pathParams.forEach((name) => {
+    parameters["path:" + name] = {
+      name,
+      in: "path",
+      required: true,
+      schema: { type: "string" },
+    };
+  });
+
+  route.handles.forEach((handle) => {
+    if (handle === requireAuth) {
+      op.security = [{ bearerAuth: [] }];
+    }
+    if (handle.roles) {
+      roleRestricted = true;
+      op.description = "Requires the " + handle.roles.join(" or ") + " role.";
+    }
+    if (handle.response) {
+      response = handle.response;
+    }
+    if (!handle.builder) return;
+
+    validated = true;
+    const context = handle.builder.build();
+    const schema = chainSchema(context);
+    context.fields.forEach((field) => {
+      // check() looks everywhere: decide by the route where the field is sent
+      let location =
+        context.locations.length === 1 ? context.locations[0] : null;
+      if (!location) {
+        if (pathParams.includes(field)) location = "params";
+        else if (["get", "delete"].includes(route.method)) location = "query";
+        else location = "body";
+      }
+
+      if (location === "body") {
+        if (!schema) {
+          delete body.properties[field.split(".")[0]];
+          return;
+        }
+        placeBodyField(body, field.split("."), schema, !context.optional);
+      } else if (schema) {
+        const key = (location === "params" ? "path:" : "query:") + field;
+        const existing = parameters[key] || {};
+        parameters[key] = {
+          name: field,
+          in: location === "params" ? "path" : "query",
+          required: location === "params" || !context.optional,
+          schema: { ...(existing.schema || {}), ...schema },
+        };
+      }
+    });
+  });
+
+  if (Object.keys(parameters).length) {
+    op.parameters = Object.values(parameters);
+  }
+  if (Object.keys(body.properties).length) {
+    dropEmptyRequired(body);
+    op.requestBody = {
+      required: true,
+      content: { "application/json": { schema: body } },
+    };
+  }
+
+  if (response) {
+    op.responses[response.status] = {
+      description: "Success",
+      content: { "application/json": { schema: response.schema } },
+    };
+  } else {
+    op.responses["2XX"] = { description: "Success" };
+  }
+  let problem = (description) => ({
+    description,
+    content: {
+      "application/problem+json": {
+        schema: { $ref: "#/components/schemas/Problem" },
+      },
+    },
+  });
+  if (op.security) op.responses["401"] = problem("Missing or invalid token");
+  if (roleRestricted) op.responses["403"] = problem("Permission denied");
+  if (validated) op.responses["422"] = problem("Validation failed");
+  op.responses.default = problem("Error");
+  return op;
+};
+
+/**
+ * Generates the OpenAPI document for a router.
+ * @param {Object} router - The express Router holding the API routes
+ * @param {string} basePath - Where the router is mounted, e.g. "/api/v1"
+ * @returns {Object} The OpenAPI 3 document
+ */
+let openApiDocument = (router, basePath) => {
+  let paths = {};
+  collectRoutes(router).forEach((route) => {
+    const path = route.path.replace(/:(\w+)/g, "{$1}");
+    paths[path] = paths[path] || {};
+    paths[path][route.method] = operation(route);
+  });
+
+  return {
+    openapi: "3.0.3",
+    info: { title: "MovieBase API", version },
+    servers: [{ url: basePath }],
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+      },
+      schemas: {
+        ...Object.fromEntries(
+          documentModels.map((name) => [
+            name,
+            documentSchema(Models[name].schema),
+          ])
+        ),
+        Problem: {
+          type: "object",
+          properties: {
+            type: { type: "string" },
+            title: { type: "string" },
+            status: { type: "integer" },
+            detail: { type: "string" },
+            requestId: { type: "string" },
+            errors: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  field: { type: "string" },
+                  location: { type: "string" },
+                  message: { type: "string" },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+  };
+};
+
+module.exports = {
+  openApiDocument,
+  responds,
+  schemaRef,
+  pageOf,
+  tokensSchema,
+  sessionSchema,
+};
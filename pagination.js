@@ -0,0 +1,76 @@
+/**
+ * @file pagination.js
+ * @description Helpers for paginated list endpoints: reading page/limit query parameters and building the response envelope.
+ */
+
+const { query } = require("express-validator");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * @constant {Array} paginationChecks
+ * @description express-validator checks for the `page` and `limit` query parameters.
+ */
+const paginationChecks = [
+  query("page", "page must be a positive integer")
+    .optional()
+    .isInt({ min: 1 })
+    .toInt(),
+  query("limit", "limit must be between 1 and " + MAX_LIMIT)
+    .optional()
+    .isInt({ min: 1, max: MAX_LIMIT })
+    .toInt(),
+];
+
+/**
+ * Reads the page and limit from the (already validated) query string.
+ * @param {Object} req - Express request
+ * @returns {{page: number, limit: number, skip: number}}
+ */
+let getPagination = (req) => {
+  const page = req.query.page || 1;
+  const limit = req.query.limit || DEFAULT_LIMIT;
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+/**
+ * Builds a link to another page of the current request, keeping all other query parameters.
+ * @param {Object} req - Express request
+ * @param {number} page - The page to link to
+ * @returns {string}
+ */
+let pageLink = (req, page) => {
+  const params = new URLSearchParams();
+  Object.entries(req.query).forEach(([key, value]) => {
+    [].concat(value).forEach((v) => params.append(key, v));
+  });
+  params.set("page", page);
+  return req.baseUrl + req.path + "?" + params.toString();
+};
+
+/**
+ * Wraps one page of results in the list response envelope.
+ * @param {Object} req - Express request
+ * @param {Array} data - The documents on this page
+ * @param {number} total - Total number of matching documents
+ * @returns {Object} `{ data, total, page, limit, pages, links: { self, next, prev } }`
+ */
+let paginate = (req, data, total) => {
+  const { page, limit } = getPagination(req);
+  const pages = Math.ceil(total / limit);
+  return {
+    data,
+    total,
+    page,
+    limit,
+    pages,
+    links: {
+      self: pageLink(req, page),
+      next: page < pages ? pageLink(req, page + 1) : null,
+      prev: page > 1 ? pageLink(req, Math.min(page - 1, pages || 1)) : null,
+    },
+  };
+};
+
+module.exports = { paginationChecks, getPagination, paginate };
@@ -1,9 +1,11 @@
 const passport = require('passport'),
   LocalStrategy = require('passport-local').Strategy,
   Models = require('./models.js'),
-  passportJWT = require('passport-jwt');
+  passportJWT = require('passport-jwt'),
+  { jwtSecretFor } = require('./tokens');
 
 let Users = Models.User,
+  LoginEvents = Models.LoginEvent,
   JWTStrategy = passportJWT.Strategy,
   ExtractJWT = passportJWT.ExtractJwt;
 
@@ -12,30 +14,56 @@ let Users = Models.User,
       {
         usernameField: 'Username',
         passwordField: 'Password',
+        passReqToCallback: true,
       },
-      async (username, password, callback) => {
-        console.log(`${username} ${password}`);
-        await Users.findOne({ Username: username })
-        .then((user) => {
+      async (req, username, password, callback) => {
+        // every attempt is written to the login audit trail
+        let record = (user, success, reason) =>
+          LoginEvents.create({
+            User: user && user._id,
+            Username: username,
+            Success: success,
+            Reason: reason,
+            Ip: req.ip,
+            UserAgent: req.get('User-Agent'),
+          });
+
+        try {
+          let user = await Users.findOne({ Username: username });
           if (!user) {
-            console.log('incorrect username');
+            await record(null, false, 'unknown username');
             return callback(null, false, {
               message: 'Incorrect username or password.',
             });
           }
+          if (user.isLocked()) {
+            await record(user, false, 'account locked');
+            return callback(null, false, {
+              message: 'Account temporarily locked after too many failed attempts.',
+              locked: true,
+            });
+          }
           if (!user.validatePassword(password)) {
-            console.log('incorrect password');
-            return callback(null, false, { message: 'Incorrect password.' });
+            await user.registerFailedLogin();
+            await record(user, false, 'incorrect password');
+            return callback(null, false, {
+              message: 'Incorrect username or password.',
+            });
           }
-          console.log('finished');
-          return callback(null, user);
-        })
-        .catch((error) => {
-          if (error) {
-            console.log(error);
-            return callback(error);
+          if (user.DeletedAt) {
+            // only told after the password was checked
+            await record(user, false, 'account deleted');
+            return callback(null, false, {
+              message: 'This account was deleted. It can be restored with POST /users/' + user.Username + '/restore.',
+              deleted: true,
+            });
           }
-        })
+          await user.registerSuccessfulLogin();
+          await record(user, true);
+          return callback(null, user);
+        } catch (error) {
+          return callback(error);
+        }
       }
     )
   );
@@ -43,10 +71,25 @@ let Users = Models.User,
 
 passport.use(new JWTStrategy({
   jwtFromRequest: ExtractJWT.fromAuthHeaderAsBearerToken(),
-  secretOrKey: 'your_jwt_secret'
+  // tokens name their signing key in the kid header, so keys can be rotated
+  secretOrKeyProvider: (req, rawJwtToken, done) => {
+    let secret = jwtSecretFor(rawJwtToken);
+    if (!secret) {
+      return done(new Error('Unknown signing key'));
+    }
+    done(null, secret);
+  },
+  algorithms: ['HS256']
 }, async (jwtPayload, callback) => {
   return await Users.findById(jwtPayload._id)
     .then((user) => {
+      // reject tokens issued before a password change or logout everywhere (iat is in seconds)
+      if (user && jwtPayload.iat < Math.floor(user.tokensValidSince() / 1000)) {
+        return callback(null, false);
+      }
+      if (user && user.DeletedAt) {
+        return callback(null, false);
+      }
       return callback(null, user);
     })
     .catch((error) => {
@@ -0,0 +1,161 @@
+/**
+ * @file recommendations.js
+ * @description Ranks movies for a user based on their favorite movies. Movies score points for sharing genres,
+ * directors or actors with a favorite, and for being a favorite of other users with similar taste.
+ * Every point is recorded with the reason it was given, so each recommendation can be explained.
+ */
+
+/**
+ * @constant {Object} weights
+ * @description Points for each kind of similarity.
+ */
+const weights = {
+  director: 3, // per shared director
+  genre: 2, // per shared genre
+  actor: 1, // per shared actor
+  similarUsers: 4, // multiplied by how similar the other user's favorites are
+};
+
+const id = (value) => (value && value._id ? value._id : value).toString();
+
+/**
+ * Lists the entries of `items` that also appear in `others`.
+ * @param {Array} items
+ * @param {Array} others
+ * @param {function} key - Gives the value to compare an entry by
+ * @returns {Array}
+ */
+let shared = (items, others, key) => {
+  const otherKeys = new Set((others || []).map(key));
+  return (items || []).filter((item) => otherKeys.has(key(item)));
+};
+
+/**
+ * Compares a candidate movie with one favorite.
+ * @param {Object} movie - Candidate movie with populated Genres and Directors
+ * @param {Object} favorite - Favorite movie with populated Genres and Directors
+ * @returns {{score: number, details: string[]}}
+ */
+let compareMovies = (movie, favorite) => {
+  let score = 0;
+  let details = [];
+  const sharedDirectors = shared(movie.Directors, favorite.Directors, id);
+  if (sharedDirectors.length) {
+    score += weights.director * sharedDirectors.length;
+    details.push(
+      "same director: " + sharedDirectors.map((d) => d.Name).join(", ")
+    );
+  }
+  const sharedGenres = shared(movie.Genres, favorite.Genres, id);
+  if (sharedGenres.length) {
+    score += weights.genre * sharedGenres.length;
+    details.push("same genre: " + sharedGenres.map((g) => g.Name).join(", "));
+  }
+  const sharedActors = shared(
+    movie.Cast,
+    favorite.Cast,
+    (member) => member.Actor
+  );
+  if (sharedActors.length) {
+    score += weights.actor * sharedActors.length;
+    details.push(
+      "also starring " + sharedActors.map((member) => member.Actor).join(", ")
+    );
+  }
+  return { score, details };
+};
+
+/**
+ * Ranks candidate movies for a user.
+ * @param {Object} options
+ * @param {Object[]} options.favorites - The user's favorite movies, with populated Genres and Directors
+ * @param {Object[]} options.candidates - Movies to rank (not including favorites), with populated Genres and Directors
+ * @param {Object[]} options.otherUsers - Other users' `FavoriteMovies` arrays, as `{ FavoriteMovies: [id] }`
+ * @param {number} options.limit - Maximum number of recommendations
+ * @returns {Object[]} `[{ movie, score, reasons }]`, best first. `reasons` holds readable explanations, strongest first.
+ */
+let recommendMovies = ({ favorites, candidates, otherUsers, limit }) => {
+  const favoriteIds = new Set(favorites.map(id));
+  const favoriteTitles = new Map(favorites.map((f) => [id(f), f.Title]));
+
+  // how often each candidate is favorited by similar users, weighted by their similarity (Jaccard index)
+  let coFavorites = new Map();
+  otherUsers.forEach((other) => {
+    const theirs = other.FavoriteMovies.map(id);
+    const shared = theirs.filter((movieId) => favoriteIds.has(movieId));
+    if (!shared.length) return;
+    const similarity =
+      shared.length / (favoriteIds.size + theirs.length - shared.length);
+    theirs
+      .filter((movieId) => !favoriteIds.has(movieId))
+      .forEach((movieId) => {
+        let entry = coFavorites.get(movieId) || {
+          weight: 0,
+          users: 0,
+          liked: new Map(),
+        };
+        entry.weight += similarity;
+        entry.users += 1;
+        shared.forEach((favId) =>
+          entry.liked.set(favId, (entry.liked.get(favId) || 0) + 1)
+        );
+        coFavorites.set(movieId, entry);
+      });
+  });
+
+  let ranked = candidates
+    .filter((movie) => !favoriteIds.has(id(movie)))
+    .map((movie) => {
+      let score = 0;
+      let reasons = [];
+
+      favorites.forEach((favorite) => {
+        const match = compareMovies(movie, favorite);
+        if (match.score) {
+          score += match.score;
+          reasons.push({
+            score: match.score,
+            text:
+              "Because you liked " +
+              favorite.Title +
+              " (" +
+              match.details.join("; ") +
+              ")",
+          });
+        }
+      });
+
+      const co = coFavorites.get(id(movie));
+      if (co) {
+        const points = weights.similarUsers * co.weight;
+        score += points;
+        // name the favorite most of those users share with this user
+        const [topFavorite] = [...co.liked.entries()].sort(
+          (a, b) => b[1] - a[1]
+        )[0];
+        reasons.push({
+          score: points,
+          text:
+            co.users +
+            (co.users === 1 ? " user" : " users") +
+            " who liked " +
+            favoriteTitles.get(topFavorite) +
+            " also liked this",
+        });
+      }
+
+      return {
+        movie,
+        score,
+        reasons: reasons
+          .sort((a, b) => b.score - a.score)
+          .map((reason) => reason.text),
+      };
+    })
+    .filter((recommendation) => recommendation.score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  return ranked.slice(0, limit);
+};
+
+module.exports = { weights, recommendMovies };
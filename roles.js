@@ -0,0 +1,33 @@
+/**
+ * @file roles.js
+ * @description Role based authorization middleware. Used after `passport.authenticate("jwt")`, which sets `req.user`.
+ */
+
+const { ForbiddenError } = require("./errors");
+
+/**
+ * @constant {Object} roles
+ * @description The roles a user can have.
+ */
+const roles = {
+  user: "user",
+  admin: "admin",
+};
+
+/**
+ * Creates a middleware that only lets users with one of the given roles through.
+ * @param {...string} allowed - The allowed roles
+ * @returns {function} Express middleware
+ */
+let requireRole = (...allowed) => {
+  let middleware = (req, res, next) => {
+    if (!req.user || allowed.indexOf(req.user.Role) === -1) {
+      return next(new ForbiddenError());
+    }
+    next();
+  };
+  middleware.roles = allowed; // read by the OpenAPI generator
+  return middleware;
+};
+
+module.exports = { roles, requireRole };
@@ -0,0 +1,345 @@
+/**
+ * @file routes/auth.js
+ * @description Contains the endpoint logic for authenticating the user, issuing and refreshing JWT access tokens,
+ * verifying email addresses and resetting forgotten passwords.
+ */
+
+const express = require("express"),
+  passport = require("passport"),
+  { check } = require("express-validator"),
+  { requireAuth, validate } = require("../middleware"),
+  {
+    BadRequestError,
+    UnauthorizedError,
+    ForbiddenError,
+    ConflictError,
+    TooManyRequestsError,
+  } = require("../errors"),
+  Models = require("../models.js"),
+  { generateJWTToken, generateRefreshToken } = require("../tokens"),
+  { sendVerificationEmail, sendPasswordResetEmail } = require("../emails"),
+  { loginLimits, passwordResetLimits } = require("../limits"),
+  { userViewChecks, serializeUser } = require("../serializers"),
+  { responds, tokensSchema, sessionSchema } = require("../openapi");
+
+const Users = Models.User,
+  RefreshTokens = Models.RefreshToken,
+  OneTimeTokens = Models.OneTimeToken;
+
+require("../passport"); // Local passport file
+
+const router = express.Router();
+
+/**
+ * @constant {Object} refreshTokenCheck
+ * @description express-validator check for the refresh token in the body of /token/refresh and /logout.
+ */
+const refreshTokenCheck = check(
+  "refreshToken",
+  "refreshToken is required"
+).isString();
+
+/**
+ * @route {POST} /login
+ * @name User login
+ * @queryparam {String} :Username - The username of the user
+ * @queryparam {String} :Password - The password of the user
+ * @queryparam {String} [fields] - Comma separated user fields to return, e.g. "Username,Email"
+ * @queryparam {String} [expand] - "favorites" to return the favorite movies as movie documents
+ * @returns {Object} 200 - An object containing the user details, the JWT access token and a refresh token.
+ * @returns {Object} 401 - Problem details if the username or password is incorrect.
+ * @returns {Object} 403 - The account was deleted and can still be restored with POST /users/:Username/restore.
+ * @returns {Object} 422 - Problem details if the username or password is missing.
+ * @returns {Object} 429 - Too many failed attempts from this IP or for this username, or the account is temporarily locked.
+ * @authentication No authentication required.
+ * @description Generates a JWT access token (valid for 15 minutes) and a refresh token (valid for 30 days) for the user.
+ * Repeated failures slow down further attempts, and five failures in a row lock the account for 15 minutes (doubling
+ * with every further lockout). All attempts are recorded in the user's login history.
+ * Example: /login?Username=[username]&Password=[password]
+ */
+router.post(
+  "/login",
+  responds(200, sessionSchema),
+  loginLimits,
+  [
+    check("Username", "Username is required").not().isEmpty(),
+    check("Password", "Password is required").not().isEmpty(),
+    ...userViewChecks,
+  ],
+  validate,
+  (req, res, next) => {
+    passport.authenticate("local", { session: false }, (error, user, info) => {
+      if (error) {
+        return next(error);
+      }
+      if (info && info.locked) {
+        return next(new TooManyRequestsError(info.message));
+      }
+      if (info && info.deleted) {
+        return next(new ForbiddenError(info.message));
+      }
+      if (!user) {
+        return next(new UnauthorizedError("Incorrect username or password."));
+      }
+      req.login(user, { session: false }, async (error) => {
+        if (error) {
+          return next(error);
+        }
+        try {
+          let token = generateJWTToken(user);
+          let { refreshToken } = await generateRefreshToken(user);
+          return res.json({
+            user: await serializeUser(user, req),
+            token,
+            refreshToken,
+          });
+        } catch (err) {
+          next(err);
+        }
+      });
+    })(req, res);
+  }
+);
+
+/**
+ * @route {POST} /token/refresh
+ * @name Refresh access token
+ * @bodyparam {String} refreshToken - A refresh token returned by /login or a previous refresh
+ * @returns {Object} 200 - An object containing a new JWT access token and a new refresh token.
+ * @returns {Object} 401 - If the refresh token is unknown, expired or revoked.
+ * @returns {Object} 422 - If the refresh token is missing.
+ * @authentication No authentication required.
+ * @description Every refresh token can only be used once. Using a replaced token again revokes all tokens
+ * descending from the same login, since it means the token was stolen.
+ */
+router.post(
+  "/token/refresh",
+  responds(200, tokensSchema),
+  refreshTokenCheck,
+  validate,
+  async (req, res, next) => {
+    try {
+      const stored = await RefreshTokens.findOne({
+        TokenHash: RefreshTokens.hashToken(req.body.refreshToken),
+      }).populate("User");
+
+      if (!stored || !stored.User || stored.ExpiresAt < new Date()) {
+        return next(new UnauthorizedError("Invalid refresh token"));
+      }
+      // reuse of a replaced token: revoke the whole family
+      const revokeFamily = async () => {
+        await RefreshTokens.updateMany(
+          { Family: stored.Family, RevokedAt: null },
+          { $set: { RevokedAt: new Date() } }
+        );
+        next(new UnauthorizedError("Invalid refresh token"));
+      };
+      if (stored.RevokedAt) return revokeFamily();
+
+      const user = stored.User;
+      let { refreshToken, tokenHash } = await generateRefreshToken(
+        user,
+        stored.Family
+      );
+      // claimed in one step, so of two requests with the same token only one succeeds. The new tokens are created before
+      // the claim, so the losing request, which counts as reuse, revokes the winner's new token along with the family.
+      // That also revokes the loser's own new token, which is of the same family and would otherwise stay valid.
+      const claimed = await RefreshTokens.findOneAndUpdate(
+        { _id: stored._id, RevokedAt: null },
+        { $set: { RevokedAt: new Date(), ReplacedBy: tokenHash } }
+      );
+      if (!claimed) return revokeFamily();
+
+      let token = generateJWTToken(user);
+      return res.json({ token, refreshToken });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route {POST} /logout
+ * @name User logout
+ * @bodyparam {String} refreshToken - The refresh token of the session to end
+ * @returns {String} 200 - Success message.
+ * @returns {Object} 422 - If the refresh token is missing.
+ * @authentication No authentication required.
+ * @description Revokes the refresh token, so the session cannot be renewed. The current access token stays valid until it expires.
+ */
+router.post("/logout", refreshTokenCheck, validate, async (req, res, next) => {
+  await RefreshTokens.findOneAndUpdate(
+    {
+      TokenHash: RefreshTokens.hashToken(req.body.refreshToken),
+      RevokedAt: null,
+    },
+    { $set: { RevokedAt: new Date() } }
+  )
+    .then(() => {
+      res.status(200).send("Logged out.");
+    })
+    .catch(next);
+});
+
+/**
+ * @route {POST} /logout/all
+ * @name Logout everywhere
+ * @returns {String} 200 - Success message.
+ * @authentication JWT authentication required
+ * @description Revokes all refresh tokens and all access tokens of the logged in user, on every device.
+ */
+router.post("/logout/all", requireAuth, async (req, res, next) => {
+  try {
+    await RefreshTokens.revokeAll(req.user._id);
+    req.user.TokensRevokedAt = new Date();
+    await req.user.save();
+    res.status(200).send("Logged out on all devices.");
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @route {POST} /email/verify
+ * @name Verify email address
+ * @bodyparam {String} token - The token from the verification email
+ * @returns {String} 200 - Success message.
+ * @returns {String} 400 - If the token is invalid or expired.
+ * @returns {Object} 422 - If the token is missing.
+ * @authentication No authentication required.
+ * @description Marks the user's email address as verified. Tokens are valid for 24 hours and can be used once.
+ */
+router.post(
+  "/email/verify",
+  check("token", "Invalid or expired token").isString(),
+  validate,
+  async (req, res, next) => {
+    try {
+      const token = await OneTimeTokens.consume(req.body.token, "verify-email");
+      if (!token) {
+        return next(new BadRequestError("Invalid or expired token"));
+      }
+      await Users.updateOne(
+        { _id: token.User },
+        { $set: { EmailVerified: true } }
+      );
+      res.status(200).send("Email address verified.");
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route {POST} /email/verify/resend
+ * @name Resend verification email
+ * @returns {String} 200 - Success message.
+ * @authentication JWT authentication required
+ * @description Sends a new verification link to the logged in user's email address. Earlier links stop working.
+ */
+router.post("/email/verify/resend", requireAuth, async (req, res, next) => {
+  if (req.user.EmailVerified) {
+    return next(new ConflictError("Email address is already verified"));
+  }
+
+  await sendVerificationEmail(req.user)
+    .then(() => {
+      res.status(200).send("Verification email sent.");
+    })
+    .catch(next);
+});
+
+/**
+ * @route {POST} /password/forgot
+ * @name Forgot password
+ * @bodyparam {String} Email - The email address of the account
+ * @returns {String} 200 - Always the same message, so the response does not reveal which addresses have accounts.
+ * @returns {String} 429 - Too many requests from this IP or for this address.
+ * @authentication No authentication required.
+ * @description Emails a password reset link, valid for one hour, to the account with this address. The response does
+ * not wait for the email to be sent, as its timing would reveal the same.
+ */
+router.post(
+  "/password/forgot",
+  passwordResetLimits,
+  check("Email", "Email does not appear to be valid").isEmail(),
+  validate,
+  async (req, res, next) => {
+    try {
+      const users = await Users.find({
+        Email: req.body.Email,
+        DeletedAt: null,
+      });
+      users.forEach((user) => {
+        sendPasswordResetEmail(user).catch((error) => {
+          req.log.error(
+            { err: error },
+            "Could not send the password reset email"
+          );
+        });
+      });
+    } catch (err) {
+      // logged only, the response must not differ
+      req.log.error({ err }, "Could not look up the account");
+    }
+    res
+      .status(200)
+      .send(
+        "If an account with this email address exists, a reset link has been sent."
+      );
+  }
+);
+
+/**
+ * @route {POST} /password/reset
+ * @name Reset password
+ * @bodyparam {String} token - The token from the password reset email
+ * @bodyparam {String} Password - The new password
+ * @returns {String} 200 - Success message.
+ * @returns {String} 400 - If the token is invalid or expired.
+ * @authentication No authentication required.
+ * @description Sets a new password, lifts a lockout after failed logins and logs the user out on all devices. Tokens can
+ * be used once.
+ */
+router.post(
+  "/password/reset",
+  [
+    check("token", "Invalid or expired token").isString(),
+    check("Password", "Password is required").not().isEmpty(),
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const token = await OneTimeTokens.consume(
+        req.body.token,
+        "reset-password"
+      );
+      if (!token) {
+        return next(new BadRequestError("Invalid or expired token"));
+      }
+      const { matchedCount } = await Users.updateOne(
+        { _id: token.User, DeletedAt: null },
+        {
+          $set: {
+            Password: Users.hashPassword(req.body.Password),
+            PasswordChangedAt: new Date(),
+            // the link was received at this address
+            EmailVerified: true,
+            FailedLoginAttempts: 0,
+          },
+          $unset: { LockedUntil: "" },
+        }
+      );
+      if (!matchedCount) {
+        // the account was deleted after the link was sent
+        return next(new BadRequestError("Invalid or expired token"));
+      }
+      await RefreshTokens.revokeAll(token.User);
+      res.status(200).send("Password changed.");
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+module.exports = router;
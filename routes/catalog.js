@@ -0,0 +1,235 @@
+/**
+ * @file routes/catalog.js
+ * @description Routes for the genres and directors that movies reference.
+ */
+
+const express = require("express");
+const _ = require("lodash");
+const { check } = require("express-validator");
+const Models = require("../models.js");
+const { paginationChecks, getPagination, paginate } = require("../pagination");
+const { requireAuth, validate, idCheck } = require("../middleware");
+const { catalogCache } = require("../cache");
+const { roles, requireRole } = require("../roles");
+const { NotFoundError, ConflictError } = require("../errors");
+const { responds, schemaRef, pageOf } = require("../openapi");
+
+const Movies = Models.Movie;
+const Genres = Models.Genre;
+const Directors = Models.Director;
+
+const router = express.Router();
+
+/**
+ * @constant {Array} genreChecks
+ * @description express-validator checks for the genre request body.
+ */
+const genreChecks = [
+  check("Name", "Name is required").isString().trim().notEmpty(),
+  check("Description", "Description must be a string").optional().isString(),
+];
+
+/**
+ * @constant {Array} directorChecks
+ * @description express-validator checks for the director request body.
+ */
+const directorChecks = [
+  check("Name", "Name is required").isString().trim().notEmpty(),
+  check("Bio", "Bio must be a string").optional().isString(),
+  check("BirthYear", "BirthYear must be a year").optional().isInt().toInt(),
+  check("DeathYear", "DeathYear must be a year")
+    .optional({ values: "null" })
+    .isInt()
+    .toInt()
+    .custom(
+      (year, { req }) => !req.body.BirthYear || year >= req.body.BirthYear
+    )
+    .withMessage("DeathYear cannot be before BirthYear"),
+];
+
+/**
+ * Registers the list, read, create, update, delete and movie listing routes on the router for a resource that movies reference by ID.
+ * @param {string} path - Base path of the resource, e.g. "/genres"
+ * @param {Object} Model - The mongoose model of the resource
+ * @param {string} movieField - The movie field holding the references
+ * @param {Array} bodyChecks - express-validator checks for create and update requests
+ */
+let catalogResource = (path, Model, movieField, bodyChecks) => {
+  const fields = Object.keys(Model.schema.paths).filter(
+    (field) =>
+      !field.startsWith("_") && !["createdAt", "updatedAt"].includes(field)
+  );
+  const itemSchema = schemaRef(Model.modelName);
+
+  router.get(
+    path,
+    responds(200, pageOf(itemSchema)),
+    requireAuth,
+    paginationChecks,
+    validate,
+    catalogCache,
+    async (req, res, next) => {
+      const { skip, limit } = getPagination(req);
+      try {
+        const [items, total] = await Promise.all([
+          Model.find().sort({ Name: 1 }).skip(skip).limit(limit),
+          Model.countDocuments(),
+        ]);
+        res.json(paginate(req, items, total));
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  router.get(
+    path + "/:id",
+    responds(200, itemSchema),
+    requireAuth,
+    idCheck,
+    validate,
+    catalogCache,
+    async (req, res, next) => {
+      await Model.findById(req.params.id)
+        .then((item) => {
+          if (!item) {
+            return next(new NotFoundError(req.params.id + " was not found"));
+          }
+          res.json(item);
+        })
+        .catch(next);
+    }
+  );
+
+  router.get(
+    path + "/:id/movies",
+    responds(200, pageOf(schemaRef("Movie"))),
+    requireAuth,
+    [idCheck, ...paginationChecks],
+    validate,
+    catalogCache,
+    async (req, res, next) => {
+      const filter = { [movieField]: req.params.id };
+      const { skip, limit } = getPagination(req);
+      try {
+        const [movies, total] = await Promise.all([
+          Movies.find(filter)
+            .withDetails()
+            .sort({ Title: 1 })
+            .skip(skip)
+            .limit(limit),
+          Movies.countDocuments(filter),
+        ]);
+        res.json(paginate(req, movies, total));
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  router.post(
+    path,
+    responds(201, itemSchema),
+    requireAuth,
+    requireRole(roles.admin),
+    bodyChecks,
+    validate,
+    async (req, res, next) => {
+      await Model.create(_.pick(req.body, fields))
+        .then((item) => {
+          res.status(201).json(item);
+        })
+        .catch(next);
+    }
+  );
+
+  router.put(
+    path + "/:id",
+    responds(200, itemSchema),
+    requireAuth,
+    requireRole(roles.admin),
+    [idCheck, ...bodyChecks],
+    validate,
+    async (req, res, next) => {
+      // fields missing from the body are cleared, like a full replacement
+      let update = { $set: {}, $unset: {} };
+      fields.forEach((field) => {
+        if (req.body[field] === undefined || req.body[field] === null) {
+          update.$unset[field] = "";
+        } else {
+          update.$set[field] = req.body[field];
+        }
+      });
+
+      await Model.findByIdAndUpdate(req.params.id, update, {
+        new: true,
+        runValidators: true,
+      })
+        .then((item) => {
+          if (!item) {
+            return next(new NotFoundError(req.params.id + " was not found"));
+          }
+          res.json(item);
+        })
+        .catch(next);
+    }
+  );
+
+  router.delete(
+    path + "/:id",
+    requireAuth,
+    requireRole(roles.admin),
+    idCheck,
+    validate,
+    async (req, res, next) => {
+      try {
+        // refuse to leave movies pointing at a deleted document
+        const movieCount = await Movies.countDocuments({
+          [movieField]: req.params.id,
+        });
+        if (movieCount) {
+          return next(
+            new ConflictError(
+              req.params.id + " is still used by " + movieCount + " movie(s)"
+            )
+          );
+        }
+        const item = await Model.findByIdAndDelete(req.params.id);
+        if (!item) {
+          return next(new NotFoundError(req.params.id + " was not found"));
+        }
+        res.status(200).send(req.params.id + " was deleted.");
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+};
+
+/**
+ * @route {GET} /genres
+ * @name Genre resource
+ * @description Genres are shared by all of their movies. Routes:
+ * GET /genres (paginated list), GET /genres/:id, GET /genres/:id/movies (paginated movies of the genre),
+ * POST /genres, PUT /genres/:id and DELETE /genres/:id (refused while movies still use the genre) require the admin role.
+ * @bodyparam {string} Name - The name of the genre (unique)
+ * @bodyparam {string} [Description] - The description of the genre
+ * @authentication JWT authentication required
+ */
+catalogResource("/genres", Genres, "Genres", genreChecks);
+
+/**
+ * @route {GET} /directors
+ * @name Director resource
+ * @description Directors are shared by all of their movies. Routes:
+ * GET /directors (paginated list), GET /directors/:id, GET /directors/:id/movies (paginated movies of the director),
+ * POST /directors, PUT /directors/:id and DELETE /directors/:id (refused while movies still use the director) require the admin role.
+ * @bodyparam {string} Name - The name of the director
+ * @bodyparam {string} [Bio] - The biography of the director
+ * @bodyparam {number} [BirthYear] - The year the director was born
+ * @bodyparam {number} [DeathYear] - The year the director died
+ * @authentication JWT authentication required
+ */
+catalogResource("/directors", Directors, "Directors", directorChecks);
+
+module.exports = router;
@@ -0,0 +1,116 @@
+/**
+ * @file routes/events.js
+ * @description The Server-Sent Events stream, which pushes catalog and favorites changes to clients so they do not have
+ * to poll (see events.js).
+ */
+
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const { query } = require("express-validator");
+const { requireAuth, validate } = require("../middleware");
+const { lastEventId, eventsSince, subscribe } = require("../events");
+
+const router = express.Router();
+
+// comment lines keep proxies from closing idle streams
+const heartbeatInterval = 25 * 1000;
+// the longest timeout setTimeout supports
+const maxTimeout = 2 ** 31 - 1;
+
+/**
+ * Uses the `access_token` query parameter as the bearer token when the Authorization header is missing, since
+ * browsers' EventSource cannot set headers.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {function} next
+ */
+let tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && req.query.access_token) {
+    req.headers.authorization = "Bearer " + req.query.access_token;
+  }
+  next();
+};
+
+/**
+ * Formats an event for the stream.
+ * @param {string} id
+ * @param {string} type
+ * @param {string} data - JSON
+ * @returns {string}
+ */
+let formatEvent = (id, type, data) => {
+  return "id: " + id + "\nevent: " + type + "\ndata: " + data + "\n\n";
+};
+
+/**
+ * @route {GET} /events
+ * @name Subscribe to events
+ * @queryparam {string} [access_token] - The access token, for clients that cannot send the Authorization header
+ * @queryparam {string} [lastEventId] - The ID of the last event received, for clients that cannot send the
+ * Last-Event-ID header
+ * @description Opens a Server-Sent Events stream (text/event-stream). Events:
+ * `movie.created` and `movie.updated` with the movie, `movie.deleted` with `{ _id, Title }`, `movies.imported` with
+ * the import summary, and `favorites.changed` with `{ FavoriteMovies, added }` or `{ FavoriteMovies, removed }`, sent
+ * only to the streams of that user (including the one of the device that made the change).
+ * Every stream starts with a `ready` event carrying the ID to resume from. When reconnecting with a Last-Event-ID, the
+ * missed events are sent before it, or a `resync` event if they are no longer known, after which the client should
+ * refetch. The stream ends with an `expired` event when the access token expires; reconnect with a new token.
+ * @authentication JWT authentication required
+ */
+router.get(
+  "/events",
+  [
+    query("access_token", "access_token must be a JWT").optional().isJWT(),
+    query("lastEventId", "lastEventId must be a string").optional().isString(),
+  ],
+  validate,
+  tokenFromQuery,
+  requireAuth,
+  (req, res) => {
+    const userId = req.user._id.toString();
+    const { exp } = jwt.decode(req.headers.authorization.slice(7));
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-store",
+      Connection: "keep-alive",
+      // keeps nginx from buffering the stream
+      "X-Accel-Buffering": "no",
+    });
+    res.write("retry: 5000\n\n");
+
+    const resumeFrom = req.get("Last-Event-ID") || req.query.lastEventId;
+    if (resumeFrom) {
+      const missed = eventsSince(resumeFrom, userId);
+      if (missed) {
+        missed.forEach((event) =>
+          res.write(formatEvent(event.id, event.type, event.data))
+        );
+      } else {
+        res.write("event: resync\ndata: {}\n\n");
+      }
+    }
+    res.write(formatEvent(lastEventId(), "ready", "{}"));
+
+    const heartbeat = setInterval(
+      () => res.write(": ping\n\n"),
+      heartbeatInterval
+    );
+    const expiry = setTimeout(() => {
+      res.end("event: expired\ndata: {}\n\n");
+    }, Math.min(exp * 1000 - Date.now(), maxTimeout));
+    const unsubscribe = subscribe(
+      userId,
+      (event) => res.write(formatEvent(event.id, event.type, event.data)),
+      () => res.end()
+    );
+
+    res.on("close", () => {
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+      unsubscribe();
+    });
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+/**
+ * @file routes/index.js
+ * @description Combines the API routers. The result is mounted under /api/v1, and at the root for older clients.
+ */
+
+const express = require("express");
+
+const router = express.Router();
+
+router.use(require("./auth"));
+router.use(require("./users"));
+router.use(require("./movies"));
+router.use(require("./catalog"));
+router.use(require("./social"));
+router.use(require("./events"));
+
+module.exports = router;
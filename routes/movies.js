@@ -0,0 +1,924 @@
+/**
+ * @file routes/movies.js
+ * @description Routes for the movie catalog: listing, search, lookups, admin management and reviews.
+ */
+
+const express = require("express");
+const { pipeline, Readable } = require("stream");
+const _ = require("lodash");
+const { check, param, query } = require("express-validator");
+const Models = require("../models.js");
+const { paginationChecks, getPagination, paginate } = require("../pagination");
+const { fieldWeights, tokenize, termPrefix, scoreMovie } = require("../search");
+const { requireAuth, validate, idCheck } = require("../middleware");
+const { roles, requireRole } = require("../roles");
+const { catalogCache } = require("../cache");
+const { recordActivity, removeActivity } = require("../activity");
+const { publish } = require("../events");
+const { responds, schemaRef, pageOf } = require("../openapi");
+const {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+} = require("../errors");
+const {
+  formats,
+  importSizeLimit,
+  parseMovies,
+  importMovies,
+  exportMovies,
+} = require("../bulk");
+
+const Movies = Models.Movie;
+const Users = Models.User;
+const Genres = Models.Genre;
+const Directors = Models.Director;
+const Reviews = Models.Review;
+const Lists = Models.List;
+const Activities = Models.Activity;
+
+const router = express.Router();
+
+/**
+ * @constant {Object} movieSortFields
+ * @description Maps the field names accepted by the `sort` query parameter to the movie document paths they sort on.
+ */
+const movieSortFields = {
+  Title: "Title",
+  Year: "Year",
+  ReleaseDate: "ReleaseDate",
+  Runtime: "Runtime",
+  Genre: "Genres.Name", // sorts by the first genre in alphabetical order
+  Director: "Directors.Name",
+  Featured: "Featured",
+  Rating: "AverageRating",
+};
+
+/**
+ * Turns a `sort` query parameter such as "-Featured,Title" into a mongoose sort object.
+ * @param {string} sort - Comma separated field names, prefixed with "-" for descending order
+ * @returns {Object}
+ */
+let parseMovieSort = (sort) => {
+  let result = {};
+  sort.split(",").forEach((field) => {
+    let direction = field.startsWith("-") ? -1 : 1;
+    result[movieSortFields[field.replace(/^-/, "")]] = direction;
+  });
+  return result;
+};
+
+/**
+ * Aggregation stages that replace an array of references with the referenced documents, keeping their order
+ * ($lookup alone returns them in any order).
+ * @param {string} field - The movie field holding the references
+ * @param {Object} Model - The mongoose model of the referenced documents
+ * @returns {Array}
+ */
+let lookupInOrder = (field, Model) => [
+  {
+    $lookup: {
+      from: Model.collection.name,
+      localField: field,
+      foreignField: "_id",
+      as: "_" + field,
+    },
+  },
+  {
+    $set: {
+      [field]: {
+        $filter: {
+          input: {
+            $map: {
+              input: { $ifNull: ["$" + field, []] },
+              as: "ref",
+              in: {
+                $arrayElemAt: [
+                  {
+                    $filter: {
+                      input: "$_" + field,
+                      cond: { $eq: ["$$this._id", "$$ref"] },
+                    },
+                  },
+                  0,
+                ],
+              },
+            },
+          },
+          cond: { $ne: ["$$this", null] },
+        },
+      },
+    },
+  },
+  { $unset: "_" + field },
+];
+
+/**
+ * @constant {Array} lookupMovieDetails
+ * @description Aggregation stages that replace a movie's Genres and Directors references with the full documents,
+ * the aggregation counterpart of the `withDetails` query helper.
+ */
+const lookupMovieDetails = [
+  ...lookupInOrder("Genres", Genres),
+  ...lookupInOrder("Directors", Directors),
+];
+
+/**
+ * @route {GET} /movies
+ * @name Get a list of movies
+ * @queryparam {string} [title] - Only movies whose title contains this text (case insensitive)
+ * @queryparam {string} [genre] - Only movies of this genre
+ * @queryparam {string} [director] - Only movies by this director
+ * @queryparam {string} [actor] - Only movies featuring this actor
+ * @queryparam {number} [year] - Only movies released in this year
+ * @queryparam {string} [language] - Only movies in this language (ISO 639-1 code, e.g. "en")
+ * @queryparam {boolean} [featured] - Only featured (true) or non-featured (false) movies
+ * @queryparam {string} [sort] - Comma separated sort fields (Title, Year, ReleaseDate, Runtime, Genre, Director, Featured, Rating), prefix with "-" for descending order
+ * @queryparam {number} [page=1] - The page to return
+ * @queryparam {number} [limit=20] - Number of movies per page (max 100)
+ * @description Returns a page of movies as `{ data, total, page, limit, pages, links: { self, next, prev } }`
+ * @authentication JWT authentication required
+ */
+router.get(
+  "/movies",
+  responds(200, pageOf(schemaRef("Movie"))),
+  requireAuth,
+  [
+    query("title").optional().isString(),
+    query("genre").optional().isString(),
+    query("director").optional().isString(),
+    query("actor").optional().isString(),
+    query("year", "year must be a year").optional().isInt().toInt(),
+    query("language").optional().isString(),
+    query("featured", "featured must be true or false")
+      .optional()
+      .isBoolean()
+      .toBoolean(),
+    query("sort", "sort contains an unknown field")
+      .optional()
+      .isString()
+      .custom((sort) =>
+        sort
+          .split(",")
+          .every((field) => field.replace(/^-/, "") in movieSortFields)
+      ),
+    ...paginationChecks,
+  ],
+  validate,
+  catalogCache,
+  async (req, res, next) => {
+    // filters on the movie itself are applied before joining genres and directors
+    let filter = {};
+    if (req.query.title) {
+      filter.Title = new RegExp(_.escapeRegExp(req.query.title), "i");
+    }
+    if (req.query.actor) filter["Cast.Actor"] = req.query.actor;
+    if (req.query.year) filter.Year = req.query.year;
+    if (req.query.language) filter.Languages = req.query.language;
+    if (req.query.featured !== undefined) {
+      filter.Featured = req.query.featured;
+    }
+    let detailsFilter = {};
+    if (req.query.genre) detailsFilter["Genres.Name"] = req.query.genre;
+    if (req.query.director) {
+      detailsFilter["Directors.Name"] = req.query.director;
+    }
+
+    let sort = req.query.sort ? parseMovieSort(req.query.sort) : {};
+    sort._id = 1; // stable order between pages
+    const { skip, limit } = getPagination(req);
+
+    // genres and directors are only joined for every matching movie when they are filtered or sorted on, otherwise
+    // just for the movies of the page
+    const joinFirst =
+      Object.keys(detailsFilter).length > 0 ||
+      "Genres.Name" in sort ||
+      "Directors.Name" in sort;
+
+    try {
+      const [result] = await Movies.aggregate([
+        { $match: filter },
+        ...(joinFirst
+          ? [...lookupMovieDetails, { $match: detailsFilter }]
+          : []),
+        {
+          $facet: {
+            data: [
+              { $sort: sort },
+              { $skip: skip },
+              { $limit: limit },
+              ...(joinFirst ? [] : lookupMovieDetails),
+              // aggregations do not apply select: false
+              { $unset: "SearchWords" },
+            ],
+            total: [{ $count: "count" }],
+          },
+        },
+      ]);
+      const total = result.total.length ? result.total[0].count : 0;
+      res.json(paginate(req, result.data, total));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @constant {Object} searchResultSchema
+ * @description The schema of a search result: a movie with the score it was ranked by.
+ */
+const searchResultSchema = {
+  allOf: [
+    schemaRef("Movie"),
+    { type: "object", properties: { score: { type: "number" } } },
+  ],
+};
+
+/**
+ * @route {GET} /movies/search
+ * @name Search movies
+ * @queryparam {string} q - Search text, matched against title, description, cast (actors and characters), genres and directors
+ * @queryparam {number} [page=1] - The page to return
+ * @queryparam {number} [limit=20] - Number of movies per page (max 100)
+ * @description Returns a page of matching movies, best matches first, as `{ data, total, page, limit, pages, links }`.
+ * Each movie carries a `score` field. Words may be incomplete (prefix matching) or contain small typos, though not in
+ * their first two letters.
+ * @authentication JWT authentication required
+ */
+router.get(
+  "/movies/search",
+  responds(200, pageOf(searchResultSchema)),
+  requireAuth,
+  [
+    query("q", "Search text is required").isString().trim().notEmpty(),
+    ...paginationChecks,
+  ],
+  validate,
+  catalogCache,
+  async (req, res, next) => {
+    const { skip, limit } = getPagination(req);
+    const terms = tokenize(req.query.q);
+    if (!terms.length) return res.json(paginate(req, [], 0));
+
+    try {
+      // genres and directors are few, so their names are matched here and the movies found by reference
+      const [genres, directors] = await Promise.all([
+        Genres.find().select("Name").lean(),
+        Directors.find().select("Name").lean(),
+      ]);
+      let namesStartingWith = (docs, prefix) =>
+        docs
+          .filter((doc) =>
+            tokenize(doc.Name).some((word) => word.startsWith(prefix))
+          )
+          .map((doc) => doc._id);
+      // every term has to share its first letters with a word of the movie; SearchWords is indexed
+      const prefilter = {
+        $and: terms.map((term) => {
+          const prefix = termPrefix(term);
+          return {
+            $or: [
+              { SearchWords: new RegExp("^" + _.escapeRegExp(prefix)) },
+              { Genres: { $in: namesStartingWith(genres, prefix) } },
+              { Directors: { $in: namesStartingWith(directors, prefix) } },
+            ],
+          };
+        }),
+      };
+
+      // score only the searchable fields, then load the full documents for the requested page
+      const candidates = await Movies.find(prefilter)
+        .select(
+          _.uniq(
+            Object.keys(fieldWeights).map((path) => path.split(".")[0])
+          ).join(" ")
+        )
+        .populate("Genres", "Name")
+        .populate("Directors", "Name")
+        .lean();
+      const ranked = candidates
+        .map((movie) => ({
+          _id: movie._id,
+          score: scoreMovie(movie, req.query.q),
+        }))
+        .filter((match) => match.score > 0)
+        .sort((a, b) => b.score - a.score);
+      const pageMatches = ranked.slice(skip, skip + limit);
+
+      const movies = await Movies.find({
+        _id: { $in: pageMatches.map((match) => match._id) },
+      })
+        .withDetails()
+        .lean();
+      const moviesById = _.keyBy(movies, (movie) => movie._id.toString());
+      const data = pageMatches
+        .filter((match) => moviesById[match._id.toString()])
+        .map((match) => ({
+          ...moviesById[match._id.toString()],
+          score: match.score,
+        }));
+
+      res.json(paginate(req, data, ranked.length));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route {GET} /movies/export
+ * @name Export the movie catalog
+ * @queryparam {string} [format=json] - "json" or "csv"
+ * @description Streams all movies as a JSON array or a CSV file, with genres and directors given by name.
+ * The export can be imported again with POST /movies/import.
+ * @authentication JWT authentication and the admin role required
+ */
+router.get(
+  "/movies/export",
+  requireAuth,
+  requireRole(roles.admin),
+  query("format", "format must be json or csv").optional().isIn(formats),
+  validate,
+  (req, res, next) => {
+    const format = req.query.format || "json";
+    res.type(format).attachment("movies." + format);
+    pipeline(Readable.from(exportMovies(format)), res, (err) => {
+      if (err) next(err);
+    });
+  }
+);
+
+/**
+ * @route {POST} /movies/import
+ * @name Import movies
+ * @queryparam {boolean} [dryRun=false] - Only report what would change, without saving anything
+ * @bodyparam {Object[]} body - A JSON array of movies, or a CSV file sent as text/csv with a header row.
+ * Fields: see `columns` in bulk.js. Genres and Directors are given by name and created if missing.
+ * @description Creates new movies and updates the movies with the same Title and Year; fields that are missing or empty
+ * in a row are left unchanged. Invalid rows are skipped and reported, the other rows are still imported.
+ * Returns `{ dryRun, summary, newGenres, newDirectors, rows }` with the status (created, updated, unchanged or failed),
+ * the changed fields and the errors of every row.
+ * @authentication JWT authentication and the admin role required
+ */
+router.post(
+  "/movies/import",
+  requireAuth,
+  requireRole(roles.admin),
+  // only now, so anonymous clients cannot make the server parse large bodies (see app.js)
+  express.json({ limit: importSizeLimit }),
+  express.text({ type: "text/csv", limit: importSizeLimit }),
+  query("dryRun", "dryRun must be true or false")
+    .optional()
+    .isBoolean()
+    .toBoolean(),
+  validate,
+  async (req, res, next) => {
+    try {
+      let rows;
+      if (req.is("text/csv")) {
+        rows = parseMovies(req.body, "csv");
+      } else if (Array.isArray(req.body)) {
+        rows = req.body;
+      } else {
+        throw new BadRequestError(
+          "Send a JSON array of movies or a CSV file as text/csv"
+        );
+      }
+      const report = await importMovies(rows, {
+        dryRun: req.query.dryRun === true,
+      });
+      if (
+        !report.dryRun &&
+        (report.summary.created || report.summary.updated)
+      ) {
+        publish("movies.imported", report.summary);
+      }
+      res.json(report);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route {GET} /movies/:Title
+ * @name Get movie information
+ * @routeparam {string} :Title - The title of the movie
+ * @description Returns a JSON object holding data about a single movie.
+ * @authentication JWT authentication required
+ */
+router.get(
+  "/movies/:Title",
+  responds(200, schemaRef("Movie")),
+  requireAuth,
+  catalogCache,
+  async (req, res, next) => {
+    await Movies.findOne({ Title: req.params.Title })
+      .withDetails()
+      .then((movie) => {
+        if (!movie) {
+          return next(new NotFoundError(req.params.Title + " was not found"));
+        }
+        res.json(movie);
+      })
+      .catch(next);
+  }
+);
+
+/**
+ * @route {GET} /movies/genre/:Name
+ * @name Get genre description
+ * @routeparam {string} :Name - The name of the genre
+ * @description Returns a JSON object holding the name and description of the genre. Kept for older clients, see /genres.
+ * @authentication JWT authentication required
+ */
+router.get(
+  "/movies/genre/:Genre",
+  responds(200, schemaRef("Genre")),
+  requireAuth,
+  catalogCache,
+  async (req, res, next) => {
+    await Genres.findOne({ Name: req.params.Genre })
+      .then((genre) => {
+        if (!genre) {
+          return next(new NotFoundError(req.params.Genre + " was not found"));
+        }
+        res.json(genre);
+      })
+      .catch(next);
+  }
+);
+
+/**
+ * @route {GET} /movies/directors/:Name
+ * @name Get data about a director
+ * @routeparam {string} :Name - The name of the director
+ * @description Returns a JSON object holding data about the director. Kept for older clients, see /directors.
+ * @authentication JWT authentication required
+ */
+router.get(
+  "/movies/directors/:Director",
+  responds(200, schemaRef("Director")),
+  requireAuth,
+  catalogCache,
+  async (req, res, next) => {
+    await Directors.findOne({ Name: req.params.Director })
+      .then((director) => {
+        if (!director) {
+          return next(
+            new NotFoundError(req.params.Director + " was not found")
+          );
+        }
+        res.json(director);
+      })
+      .catch(next);
+  }
+);
+
+/**
+ * Builds the express-validator checks for a movie request body.
+ * @param {boolean} partial - When true every field is optional (PATCH), otherwise Title and Description are required
+ * @returns {Array}
+ */
+let movieChecks = (partial) => {
+  let required = (chain) => (partial ? chain.optional() : chain);
+  let references = (field, Model) => [
+    check(field, field + " must be a list of IDs")
+      .optional()
+      .isArray(),
+    check(field + ".*", field + " must be a list of IDs")
+      .isMongoId()
+      .bail()
+      .custom(async (id) => {
+        if (!(await Model.exists({ _id: id }))) {
+          throw new Error(field + " " + id + " does not exist");
+        }
+      }),
+  ];
+  const mpaaRatings = Movies.schema.path("MPAARating").enumValues;
+  const imagePaths = ["Poster", "Backdrop"].flatMap((kind) =>
+    ["Small", "Medium", "Large"].map((size) => "Images." + kind + "." + size)
+  );
+
+  return [
+    required(check("Title", "Title is required")).isString().trim().notEmpty(),
+    check("Year", "Year must be a year")
+      .optional({ values: "null" })
+      .isInt({ min: 1870, max: 2100 })
+      .toInt(),
+    check("ReleaseDate", "ReleaseDate must be a date (YYYY-MM-DD)")
+      .optional({ values: "null" })
+      .isISO8601()
+      .toDate(),
+    check("Runtime", "Runtime must be a number of minutes")
+      .optional({ values: "null" })
+      .isInt({ min: 1 })
+      .toInt(),
+    check("MPAARating", "MPAARating must be one of " + mpaaRatings.join(", "))
+      .optional({ values: "null" })
+      .isIn(mpaaRatings),
+    check("Languages", "Languages must be a list of ISO 639-1 codes")
+      .optional()
+      .isArray(),
+    check(
+      "Languages.*",
+      "Languages must be a list of ISO 639-1 codes"
+    ).isISO6391(),
+    required(check("Description", "Description is required"))
+      .isString()
+      .trim()
+      .notEmpty(),
+    ...references("Genres", Genres),
+    ...references("Directors", Directors),
+    check("Cast", "Cast must be a list").optional().isArray(),
+    check("Cast.*.Actor", "Every cast member needs an Actor")
+      .isString()
+      .trim()
+      .notEmpty(),
+    check("Cast.*.Character", "Character must be a string")
+      .optional()
+      .isString(),
+    check("Cast.*.Order", "Order must be a positive number")
+      .optional()
+      .isInt({ min: 1 })
+      .toInt(),
+    check("Images", "Images must be an object").optional().isObject(),
+    check(imagePaths, "Image paths must be strings").optional().isString(),
+    check("Featured", "Featured must be true or false")
+      .optional()
+      .isBoolean()
+      .toBoolean(),
+  ];
+};
+
+const movieFields = [
+  "Title",
+  "Year",
+  "ReleaseDate",
+  "Runtime",
+  "MPAARating",
+  "Languages",
+  "Description",
+  "Genres",
+  "Directors",
+  "Cast",
+  "Images",
+  "Featured",
+];
+
+/**
+ * @route {POST} /movies
+ * @name Add a movie
+ * @bodyparam {string} Title - The title of the movie
+ * @bodyparam {string} [ReleaseDate] - The release date (YYYY-MM-DD), also sets the Year
+ * @bodyparam {number} [Year] - The release year of the movie, if the exact date is unknown
+ * @bodyparam {number} [Runtime] - The running time in minutes
+ * @bodyparam {string} [MPAARating] - G, PG, PG-13, R, NC-17 or NR
+ * @bodyparam {string[]} [Languages] - ISO 639-1 codes of the spoken languages, original language first
+ * @bodyparam {string} Description - The description of the movie
+ * @bodyparam {string[]} [Genres] - The IDs of the movie's genres
+ * @bodyparam {string[]} [Directors] - The IDs of the movie's directors
+ * @bodyparam {Object[]} [Cast] - `[{ Actor, Character, Order }]`, Order being the billing order (defaults to the list order)
+ * @bodyparam {Object} [Images] - `{ Poster, Backdrop }`, each with the URLs of the image in the sizes Small, Medium and Large
+ * @bodyparam {boolean} [Featured] - Whether the movie is featured
+ * @description Returns a JSON object holding the new movie.
+ * @authentication JWT authentication and the admin role required
+ */
+router.post(
+  "/movies",
+  responds(201, schemaRef("Movie")),
+  requireAuth,
+  requireRole(roles.admin),
+  movieChecks(false),
+  validate,
+  async (req, res, next) => {
+    try {
+      const movie = await Movies.create(_.pick(req.body, movieFields));
+      await movie.populate(["Genres", "Directors"]);
+      publish("movie.created", movie);
+      res.status(201).json(movie);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route {PUT} /movies/:id
+ * @name Replace a movie
+ * @routeparam {string} :id - The ID of the movie
+ * @bodyparam {string} Title - The title of the movie
+ * @bodyparam {string} [ReleaseDate] - The release date (YYYY-MM-DD), also sets the Year
+ * @bodyparam {number} [Year] - The release year of the movie, if the exact date is unknown
+ * @bodyparam {number} [Runtime] - The running time in minutes
+ * @bodyparam {string} [MPAARating] - G, PG, PG-13, R, NC-17 or NR
+ * @bodyparam {string[]} [Languages] - ISO 639-1 codes of the spoken languages, original language first
+ * @bodyparam {string} Description - The description of the movie
+ * @bodyparam {string[]} [Genres] - The IDs of the movie's genres
+ * @bodyparam {string[]} [Directors] - The IDs of the movie's directors
+ * @bodyparam {Object[]} [Cast] - `[{ Actor, Character, Order }]`, Order being the billing order (defaults to the list order)
+ * @bodyparam {Object} [Images] - `{ Poster, Backdrop }`, each with the URLs of the image in the sizes Small, Medium and Large
+ * @bodyparam {boolean} [Featured] - Whether the movie is featured
+ * @description Replaces all movie fields, fields missing from the body are removed. Returns a JSON object holding the updated movie.
+ * @authentication JWT authentication and the admin role required
+ */
+router.put(
+  "/movies/:id",
+  responds(200, schemaRef("Movie")),
+  requireAuth,
+  requireRole(roles.admin),
+  [idCheck, ...movieChecks(false)],
+  validate,
+  async (req, res, next) => {
+    let update = { $set: {}, $unset: {} };
+    movieFields.forEach((field) => {
+      if (req.body[field] === undefined || req.body[field] === null) {
+        update.$unset[field] = "";
+      } else {
+        update.$set[field] = req.body[field];
+      }
+    });
+
+    await Movies.findByIdAndUpdate(req.params.id, update, {
+      new: true,
+      runValidators: true,
+    })
+      .withDetails()
+      .then((movie) => {
+        if (!movie) {
+          return next(new NotFoundError(req.params.id + " was not found"));
+        }
+        publish("movie.updated", movie);
+        res.json(movie);
+      })
+      .catch(next);
+  }
+);
+
+/**
+ * @route {PATCH} /movies/:id
+ * @name Update a movie
+ * @routeparam {string} :id - The ID of the movie
+ * @bodyparam {string} [Title] - The title of the movie
+ * @bodyparam {string} [ReleaseDate] - The release date (YYYY-MM-DD), also sets the Year
+ * @bodyparam {number} [Year] - The release year of the movie
+ * @bodyparam {number} [Runtime] - The running time in minutes
+ * @bodyparam {string} [MPAARating] - G, PG, PG-13, R, NC-17 or NR
+ * @bodyparam {string[]} [Languages] - ISO 639-1 codes of the spoken languages
+ * @bodyparam {string} [Description] - The description of the movie
+ * @bodyparam {string[]} [Genres] - The IDs of the movie's genres
+ * @bodyparam {string[]} [Directors] - The IDs of the movie's directors
+ * @bodyparam {Object[]} [Cast] - `[{ Actor, Character, Order }]`
+ * @bodyparam {Object} [Images] - `{ Poster, Backdrop }` with the image URLs by size
+ * @bodyparam {boolean} [Featured] - Whether the movie is featured
+ * @description Only changes the fields present in the body, null removes a field. Returns a JSON object holding the updated movie.
+ * @authentication JWT authentication and the admin role required
+ */
+router.patch(
+  "/movies/:id",
+  responds(200, schemaRef("Movie")),
+  requireAuth,
+  requireRole(roles.admin),
+  [idCheck, ...movieChecks(true)],
+  validate,
+  async (req, res, next) => {
+    let update = { $set: {}, $unset: {} };
+    movieFields.forEach((field) => {
+      if (req.body[field] === null) {
+        update.$unset[field] = "";
+      } else if (req.body[field] !== undefined) {
+        update.$set[field] = req.body[field];
+      }
+    });
+
+    await Movies.findByIdAndUpdate(req.params.id, update, {
+      new: true,
+      runValidators: true,
+    })
+      .withDetails()
+      .then((movie) => {
+        if (!movie) {
+          return next(new NotFoundError(req.params.id + " was not found"));
+        }
+        publish("movie.updated", movie);
+        res.json(movie);
+      })
+      .catch(next);
+  }
+);
+
+/**
+ * @route {DELETE} /movies/:id
+ * @name Remove a movie
+ * @routeparam {string} :id - The ID of the movie
+ * @description Removes the movie and its reviews and takes it off every user's favorites and lists. Returns a success message or error message.
+ * @authentication JWT authentication and the admin role required
+ */
+router.delete(
+  "/movies/:id",
+  requireAuth,
+  requireRole(roles.admin),
+  idCheck,
+  validate,
+  async (req, res, next) => {
+    try {
+      const movie = await Movies.findByIdAndDelete(req.params.id);
+      if (!movie) {
+        return next(new NotFoundError(req.params.id + " was not found"));
+      }
+      await Users.updateMany(
+        { FavoriteMovies: movie._id },
+        { $pull: { FavoriteMovies: movie._id } }
+      );
+      await Reviews.deleteMany({ Movie: movie._id });
+      await Lists.updateMany(
+        { "Items.Movie": movie._id },
+        { $pull: { Items: { Movie: movie._id } } }
+      );
+      await Activities.deleteMany({ Movie: movie._id });
+      publish("movie.deleted", { _id: movie._id, Title: movie.Title });
+      res.status(200).send(movie.Title + " was deleted.");
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @constant {Array} reviewChecks
+ * @description express-validator checks for the review request body.
+ */
+const reviewChecks = [
+  check("Rating", "Rating must be a whole number from 1 to 10")
+    .isInt({ min: 1, max: 10 })
+    .toInt(),
+  check("Text", "Text must be a string").optional().isString(),
+];
+
+const reviewIdCheck = param("reviewId", "Invalid review ID").isMongoId();
+
+/**
+ * @route {GET} /movies/:id/reviews
+ * @name Get the reviews of a movie
+ * @routeparam {string} :id - The ID of the movie
+ * @queryparam {number} [page=1] - The page to return
+ * @queryparam {number} [limit=20] - Number of reviews per page (max 100)
+ * @description Returns a page of reviews, newest first, as `{ data, total, page, limit, pages, links }`.
+ * The movie itself holds the AverageRating and ReviewCount. Reviews of deleted accounts are left out.
+ * @authentication JWT authentication required
+ */
+router.get(
+  "/movies/:id/reviews",
+  responds(200, pageOf(schemaRef("Review"))),
+  requireAuth,
+  [idCheck, ...paginationChecks],
+  validate,
+  async (req, res, next) => {
+    const { skip, limit } = getPagination(req);
+    try {
+      const filter = {
+        Movie: req.params.id,
+        User: { $nin: await Users.deletedIds() },
+      };
+      const [reviews, total] = await Promise.all([
+        Reviews.find(filter)
+          .populate("User", "Username")
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit),
+        Reviews.countDocuments(filter),
+      ]);
+      res.json(paginate(req, reviews, total));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route {POST} /movies/:id/reviews
+ * @name Review a movie
+ * @routeparam {string} :id - The ID of the movie
+ * @bodyparam {number} Rating - Whole number from 1 to 10
+ * @bodyparam {string} [Text] - The review text
+ * @description Returns a JSON object holding the new review. Each user can review a movie once. The rating shows up in
+ * the feeds of the user's followers.
+ * @authentication JWT authentication required
+ */
+router.post(
+  "/movies/:id/reviews",
+  responds(201, schemaRef("Review")),
+  requireAuth,
+  [idCheck, ...reviewChecks],
+  validate,
+  async (req, res, next) => {
+    try {
+      if (!(await Movies.exists({ _id: req.params.id }))) {
+        return next(new NotFoundError(req.params.id + " was not found"));
+      }
+      const review = await Reviews.create({
+        User: req.user._id,
+        Movie: req.params.id,
+        Rating: req.body.Rating,
+        Text: req.body.Text,
+      });
+      await Reviews.updateMovieRating(req.params.id);
+      await recordActivity(
+        req.user._id,
+        "rating",
+        { Movie: review.Movie },
+        review.Rating
+      );
+      res.status(201).json(review);
+    } catch (err) {
+      if (err.code === 11000) {
+        return next(new ConflictError("You have already reviewed this movie"));
+      }
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route {PUT} /movies/:id/reviews/:reviewId
+ * @name Update a review
+ * @routeparam {string} :id - The ID of the movie
+ * @routeparam {string} :reviewId - The ID of the review
+ * @bodyparam {number} Rating - Whole number from 1 to 10
+ * @bodyparam {string} [Text] - The review text
+ * @description Returns a JSON object holding the updated review. Users can only update their own reviews. The new
+ * rating moves to the top of the feeds of the user's followers.
+ * @authentication JWT authentication required
+ */
+router.put(
+  "/movies/:id/reviews/:reviewId",
+  responds(200, schemaRef("Review")),
+  requireAuth,
+  [idCheck, reviewIdCheck, ...reviewChecks],
+  validate,
+  async (req, res, next) => {
+    try {
+      const review = await Reviews.findOne({
+        _id: req.params.reviewId,
+        Movie: req.params.id,
+      });
+      if (!review) {
+        return next(new NotFoundError(req.params.reviewId + " was not found"));
+      }
+      if (!review.User.equals(req.user._id)) {
+        return next(new ForbiddenError());
+      }
+      review.Rating = req.body.Rating;
+      review.Text = req.body.Text;
+      await review.save();
+      await Reviews.updateMovieRating(req.params.id);
+      await recordActivity(
+        req.user._id,
+        "rating",
+        { Movie: review.Movie },
+        review.Rating
+      );
+      res.json(review);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route {DELETE} /movies/:id/reviews/:reviewId
+ * @name Remove a review
+ * @routeparam {string} :id - The ID of the movie
+ * @routeparam {string} :reviewId - The ID of the review
+ * @description Returns a success message or error message. Users can only remove their own reviews.
+ * @authentication JWT authentication required
+ */
+router.delete(
+  "/movies/:id/reviews/:reviewId",
+  requireAuth,
+  [idCheck, reviewIdCheck],
+  validate,
+  async (req, res, next) => {
+    try {
+      const review = await Reviews.findOne({
+        _id: req.params.reviewId,
+        Movie: req.params.id,
+      });
+      if (!review) {
+        return next(new NotFoundError(req.params.reviewId + " was not found"));
+      }
+      if (!review.User.equals(req.user._id)) {
+        return next(new ForbiddenError());
+      }
+      await review.deleteOne();
+      await Reviews.updateMovieRating(req.params.id);
+      await removeActivity(req.user._id, "rating", { Movie: review.Movie });
+      res.status(200).send("Review was deleted.");
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+module.exports = router;
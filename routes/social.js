@@ -0,0 +1,275 @@
+/**
+ * @file routes/social.js
+ * @description Routes for public profiles, following other users and the activity feed. Users are only visible to
+ * others, and can only be followed, while their profile is public.
+ */
+
+const express = require("express");
+const Models = require("../models.js");
+const { paginationChecks, getPagination, paginate } = require("../pagination");
+const { requireAuth, validate } = require("../middleware");
+const { BadRequestError, ForbiddenError, NotFoundError } = require("../errors");
+
+const Users = Models.User;
+const Movies = Models.Movie;
+const Lists = Models.List;
+const Follows = Models.Follow;
+const Activities = Models.Activity;
+
+const router = express.Router();
+
+/**
+ * Finds a user whose profile others can see.
+ * @param {string} username
+ * @returns {Promise<Object|null>} The user document, or null if there is none or the profile is private
+ */
+let findPublicUser = (username) => {
+  return Users.findOne({
+    Username: username,
+    PublicProfile: true,
+    DeletedAt: null,
+  });
+};
+
+/**
+ * @route {GET} /users/:Username/profile
+ * @name Get a user's profile
+ * @routeparam {string} :Username - The username of the user
+ * @description Returns `{ _id, Username, PublicProfile, followers, following, followedByYou, favorites, lists }` with
+ * the number of followers and followed users (without deleted accounts), the favorite movies (title and year) and the public lists. Other users'
+ * profiles are only found if they are public; users can always see their own.
+ * @authentication JWT authentication required
+ */
+router.get("/users/:Username/profile", requireAuth, async (req, res, next) => {
+  try {
+    const user =
+      req.user.Username === req.params.Username
+        ? req.user
+        : await findPublicUser(req.params.Username);
+    if (!user) {
+      return next(new NotFoundError(req.params.Username + " was not found"));
+    }
+
+    const deletedIds = await Users.deletedIds();
+    const [followers, following, followedByYou, favorites, lists] =
+      await Promise.all([
+        Follows.countDocuments({
+          Followee: user._id,
+          Follower: { $nin: deletedIds },
+        }),
+        Follows.countDocuments({
+          Follower: user._id,
+          Followee: { $nin: deletedIds },
+        }),
+        Follows.exists({ Follower: req.user._id, Followee: user._id }),
+        Movies.find({ _id: { $in: user.FavoriteMovies } })
+          .select("Title Year")
+          .lean(),
+        Lists.find({ User: user._id, Public: true })
+          .select("Name Slug")
+          .sort({ createdAt: 1 })
+          .lean(),
+      ]);
+
+    res.json({
+      _id: user._id,
+      Username: user.Username,
+      PublicProfile: user.PublicProfile,
+      followers,
+      following,
+      followedByYou: Boolean(followedByYou),
+      favorites,
+      lists,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @route {POST} /users/:Username/following/:Followee
+ * @name Follow a user
+ * @routeparam {string} :Username - The username of the logged in user
+ * @routeparam {string} :Followee - The username of the user to follow, whose profile must be public
+ * @description Returns `{ Follower, Followee: { _id, Username }, createdAt }`. Following a user twice has no effect.
+ * @authentication JWT authentication required
+ */
+router.post(
+  "/users/:Username/following/:Followee",
+  requireAuth,
+  async (req, res, next) => {
+    if (req.user.Username !== req.params.Username) {
+      // username verification
+      return next(new ForbiddenError());
+    }
+    if (req.params.Followee === req.user.Username) {
+      return next(new BadRequestError("You cannot follow yourself"));
+    }
+
+    try {
+      const followee = await findPublicUser(req.params.Followee);
+      if (!followee) {
+        return next(new NotFoundError(req.params.Followee + " was not found"));
+      }
+      const follow = await Follows.findOneAndUpdate(
+        { Follower: req.user._id, Followee: followee._id },
+        {},
+        { upsert: true, new: true }
+      ).populate("Followee", "Username");
+      res.json(follow);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route {DELETE} /users/:Username/following/:Followee
+ * @name Unfollow a user
+ * @routeparam {string} :Username - The username of the logged in user
+ * @routeparam {string} :Followee - The username of the followed user
+ * @description Returns a success message or error message.
+ * @authentication JWT authentication required
+ */
+router.delete(
+  "/users/:Username/following/:Followee",
+  requireAuth,
+  async (req, res, next) => {
+    if (req.user.Username !== req.params.Username) {
+      // username verification
+      return next(new ForbiddenError());
+    }
+
+    try {
+      const followee = await Users.findOne({ Username: req.params.Followee });
+      const follow =
+        followee &&
+        (await Follows.findOneAndDelete({
+          Follower: req.user._id,
+          Followee: followee._id,
+        }));
+      if (!follow) {
+        return next(
+          new NotFoundError("You do not follow " + req.params.Followee)
+        );
+      }
+      res.status(200).send("You no longer follow " + followee.Username + ".");
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * Registers a route listing one side of the user's follows. Deleted accounts are left out until they are restored.
+ * @param {string} path - "following" or "followers"
+ * @param {string} ownField - The Follow field holding the user
+ * @param {string} otherField - The Follow field holding the other users, which are returned
+ */
+let followList = (path, ownField, otherField) => {
+  router.get(
+    "/users/:Username/" + path,
+    requireAuth,
+    paginationChecks,
+    validate,
+    async (req, res, next) => {
+      if (req.user.Username !== req.params.Username) {
+        // username verification
+        return next(new ForbiddenError());
+      }
+
+      const { skip, limit } = getPagination(req);
+      try {
+        const filter = {
+          [ownField]: req.user._id,
+          [otherField]: { $nin: await Users.deletedIds() },
+        };
+        const [follows, total] = await Promise.all([
+          Follows.find(filter)
+            .select(otherField + " createdAt")
+            .populate(otherField, "Username")
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit),
+          Follows.countDocuments(filter),
+        ]);
+        res.json(paginate(req, follows, total));
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+};
+
+/**
+ * @route {GET} /users/:Username/following
+ * @name Get the followed users
+ * @routeparam {string} :Username - The username of the logged in user
+ * @queryparam {number} [page=1] - The page to return
+ * @queryparam {number} [limit=20] - Number of users per page (max 100)
+ * @description Returns a page of `{ Followee: { _id, Username }, createdAt }`, most recently followed first, as
+ * `{ data, total, page, limit, pages, links }`.
+ * @authentication JWT authentication required
+ */
+followList("following", "Follower", "Followee");
+
+/**
+ * @route {GET} /users/:Username/followers
+ * @name Get the followers
+ * @routeparam {string} :Username - The username of the logged in user
+ * @queryparam {number} [page=1] - The page to return
+ * @queryparam {number} [limit=20] - Number of users per page (max 100)
+ * @description Returns a page of `{ Follower: { _id, Username }, createdAt }`, newest followers first, as
+ * `{ data, total, page, limit, pages, links }`.
+ * @authentication JWT authentication required
+ */
+followList("followers", "Followee", "Follower");
+
+/**
+ * @route {GET} /feed
+ * @name Get the activity feed
+ * @queryparam {number} [page=1] - The page to return
+ * @queryparam {number} [limit=20] - Number of activities per page (max 100)
+ * @description Returns a page of the activities of the followed users, newest first, as
+ * `{ data, total, page, limit, pages, links }`. Each activity is `{ Kind, User: { _id, Username }, createdAt }` plus
+ * `Movie: { _id, Title, Year }` for "favorite" (a movie added to the favorites) and "rating" (a movie rated, with
+ * `Rating`), or `List: { _id, Name, Slug }` for "list" (a list made public). Users whose profile is no longer public
+ * are left out.
+ * @authentication JWT authentication required
+ */
+router.get(
+  "/feed",
+  requireAuth,
+  paginationChecks,
+  validate,
+  async (req, res, next) => {
+    const { skip, limit } = getPagination(req);
+    try {
+      const followeeIds = await Follows.find({
+        Follower: req.user._id,
+      }).distinct("Followee");
+      const visibleIds = await Users.find({
+        _id: { $in: followeeIds },
+        PublicProfile: true,
+        DeletedAt: null,
+      }).distinct("_id");
+
+      const filter = { User: { $in: visibleIds } };
+      const [activities, total] = await Promise.all([
+        Activities.find(filter)
+          .populate("User", "Username")
+          .populate("Movie", "Title Year")
+          .populate("List", "Name Slug")
+          .sort({ createdAt: -1, _id: -1 })
+          .skip(skip)
+          .limit(limit),
+        Activities.countDocuments(filter),
+      ]);
+      res.json(paginate(req, activities, total));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+module.exports = router;
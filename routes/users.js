@@ -0,0 +1,1147 @@
+/**
+ * @file routes/users.js
+ * @description Routes for user accounts and everything a user keeps: favorites, lists, recommendations and login history.
+ */
+
+const express = require("express");
+const mongoose = require("mongoose");
+const _ = require("lodash");
+const { body, check, param, query } = require("express-validator");
+const Models = require("../models.js");
+const { paginationChecks, getPagination, paginate } = require("../pagination");
+const { recommendMovies } = require("../recommendations");
+const { sendVerificationEmail } = require("../emails");
+const { signupLimit, loginLimits } = require("../limits");
+const { generateJWTToken, generateRefreshToken } = require("../tokens");
+const { requireAuth, validate } = require("../middleware");
+const { userViewChecks, serializeUser } = require("../serializers");
+const {
+  responds,
+  schemaRef,
+  tokensSchema,
+  sessionSchema,
+} = require("../openapi");
+const { recordActivity, removeActivity } = require("../activity");
+const { publish } = require("../events");
+const {
+  isRestorable,
+  deleteAccount,
+  restoreAccount,
+  exportAccount,
+} = require("../accounts");
+const {
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  BadRequestError,
+  ValidationError,
+  TooManyRequestsError,
+} = require("../errors");
+
+const Movies = Models.Movie;
+const Users = Models.User;
+const RefreshTokens = Models.RefreshToken;
+const Lists = Models.List;
+const LoginEvents = Models.LoginEvent;
+
+const router = express.Router();
+
+/**
+ * @route {GET} /users/:Username
+ * @name Get user data
+ * @routeparam {string} :Username - The username of the user
+ * @queryparam {string} [fields] - Comma separated fields to return, e.g. "Username,Email" (the _id is always included)
+ * @queryparam {string} [expand] - "favorites" to return the favorite movies as movie documents instead of IDs
+ * @description Returns user data as a JSON object if found, otherwise an error message. The password hash and other
+ * internal fields are never returned.
+ * @authentication JWT authentication required
+ */
+router.get(
+  "/users/:Username",
+  responds(200, schemaRef("User")),
+  requireAuth,
+  userViewChecks,
+  validate,
+  async (req, res, next) => {
+    if (req.user.Username !== req.params.Username) {
+      // username verification
+      return next(new ForbiddenError());
+    }
+    await Users.findOne({ Username: req.params.Username })
+      .then(async (user) => {
+        res.json(await serializeUser(user, req));
+      })
+      .catch(next);
+  }
+);
+
+/**
+ * @route {POST} /users
+ * @name Create a new user
+ * @bodyparam {string} Username - The username of the new user (must be at least 5 characters)
+ * @bodyparam {string} Password - The password of the new user
+ * @bodyparam {string} Email - The email of the new user
+ * @bodyparam {date} [Birthday] - The birthday of the new user
+ * @description Returns a JSON object with the username and the user's ID or an error message. Sends an email with a link to verify the address.
+ */
+router.post(
+  "/users",
+  responds(201, schemaRef("User")),
+  signupLimit,
+  [
+    check("Username", "Username is required").isLength({ min: 5 }),
+    check(
+      "Username",
+      "Username contains non alphanumeric characters - not allowed."
+    ).isAlphanumeric(),
+    check("Password", "Password is required").not().isEmpty(),
+    check("Email", "Email does not appear to be valid").isEmail(),
+    check("Birthday", "Birthday must be a date (YYYY-MM-DD)")
+      .optional()
+      .isISO8601()
+      .toDate(),
+    ...userViewChecks,
+  ],
+  validate,
+  async (req, res, next) => {
+    let hashedPassword = Users.hashPassword(req.body.Password);
+    await Users.findOne({ Username: req.body.Username }) // Checking DB if the requested username already exists
+      .then((user) => {
+        if (user) {
+          // Return error if matching username found
+          return next(new ConflictError(req.body.Username + " already exists"));
+        } else {
+          Users.create({
+            Username: req.body.Username,
+            Password: hashedPassword,
+            Email: req.body.Email,
+            Birthday: req.body.Birthday,
+          })
+            .then(async (user) => {
+              // signup succeeds even if the email cannot be sent, it can be resent later
+              sendVerificationEmail(user).catch((error) => {
+                req.log.error(
+                  { err: error },
+                  "Could not send the verification email"
+                );
+              });
+              res.status(201).json(await serializeUser(user, req));
+            })
+            .catch(next);
+        }
+      })
+      .catch(next);
+  }
+);
+
+/**
+ * Middleware that checks that the logged in user is the one in the URL and that the body holds their current
+ * password, for changes that could take over the account (password and email address). Wrong passwords count as
+ * failed logins and lock the account like they do on /login.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {function} next
+ */
+let verifyCurrentPassword = async (req, res, next) => {
+  if (req.user.Username !== req.params.Username) {
+    // username verification
+    return next(new ForbiddenError());
+  }
+
+  try {
+    if (req.user.isLocked()) {
+      return next(
+        new TooManyRequestsError(
+          "Account temporarily locked after too many failed attempts."
+        )
+      );
+    }
+    if (!req.user.validatePassword(req.body.CurrentPassword)) {
+      await req.user.registerFailedLogin();
+      return next(new ForbiddenError("Current password is incorrect"));
+    }
+    await req.user.registerSuccessfulLogin();
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @route {PUT} /users/:Username
+ * @name Update user data
+ * @routeparam {string} :Username - The username of the user to update
+ * @bodyparam {string} CurrentPassword - The user's current password
+ * @bodyparam {string} [Username] - The new username for the user
+ * @bodyparam {string} [Password] - The new password for the user
+ * @bodyparam {string} [Email] - The new email for the user
+ * @bodyparam {date} [Birthday] - The new birthday for the user
+ * @description Returns `{ user, token }` with the updated user and a fresh access token, which clients should use from
+ * now on since the token names the username. Changing the password logs the user out on all other devices; the
+ * response then also holds a new `refreshToken` for the current one. A changed email address has to be verified again.
+ * Wrong current passwords count towards the login limits and lock the account like failed logins.
+ * @authentication JWT authentication required
+ */
+router.put(
+  "/users/:Username",
+  responds(200, sessionSchema),
+  requireAuth,
+  loginLimits,
+  [
+    check("CurrentPassword", "Current password is required").not().isEmpty(),
+    body("Username", "Username is required").isLength({ min: 5 }),
+    body(
+      "Username",
+      "Username contains non alphanumeric characters - not allowed."
+    ).isAlphanumeric(),
+    check("Password", "Password is required").not().isEmpty(),
+    check("Email", "Email does not appear to be valid").isEmail(),
+    check("Birthday", "Birthday must be a date (YYYY-MM-DD)")
+      .optional()
+      .isISO8601()
+      .toDate(),
+    ...userViewChecks,
+  ],
+  validate,
+  verifyCurrentPassword,
+  async (req, res, next) => {
+    try {
+      // Check if the new username already exists in the database
+      const existingUser = await Users.findOne({ Username: req.body.Username });
+
+      // If the new username exists and it does not belong to the current user, return an error
+      if (existingUser && existingUser.Username !== req.params.Username) {
+        return next(
+          new ConflictError(
+            'The username "' + req.body.Username + '" is already taken.'
+          )
+        );
+      }
+
+      let changes = {
+        Username: req.body.Username,
+        Password: Users.hashPassword(req.body.Password),
+        Email: req.body.Email,
+        Birthday: req.body.Birthday,
+      };
+      // A new password ends all sessions: older access tokens are rejected and refresh tokens revoked
+      const passwordChanged = !req.user.validatePassword(req.body.Password);
+      if (passwordChanged) {
+        changes.PasswordChangedAt = new Date();
+      }
+      // A new email address has to be verified again
+      const emailChanged = req.body.Email !== req.user.Email;
+      if (emailChanged) {
+        changes.EmailVerified = false;
+      }
+
+      // Update the user if the username is unique or remains unchanged
+      const updatedUser = await Users.findOneAndUpdate(
+        { Username: req.params.Username }, // Find user by current username
+        { $set: changes },
+        { new: true }
+      );
+      if (passwordChanged) {
+        await RefreshTokens.revokeAll(updatedUser._id);
+      }
+      if (emailChanged) {
+        sendVerificationEmail(updatedUser).catch((error) => {
+          req.log.error(
+            { err: error },
+            "Could not send the verification email"
+          );
+        });
+      }
+
+      let response = {
+        user: await serializeUser(updatedUser, req),
+        token: generateJWTToken(updatedUser),
+      };
+      if (passwordChanged) {
+        const { refreshToken } = await generateRefreshToken(updatedUser);
+        response.refreshToken = refreshToken;
+      }
+      res.json(response);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route {PATCH} /users/:Username
+ * @name Update some user data
+ * @routeparam {string} :Username - The username of the user to update
+ * @bodyparam {string} [CurrentPassword] - The user's current password, required with Email
+ * @bodyparam {string} [Username] - The new username for the user
+ * @bodyparam {string} [Email] - The new email for the user
+ * @bodyparam {date} [Birthday] - The new birthday for the user, null to remove it
+ * @bodyparam {boolean} [PublicProfile] - Whether other users can see the profile and follow the user
+ * @description Only changes the fields present in the body; the password is changed with PUT /users/:Username/password.
+ * Returns `{ user, token }` with the updated user and a fresh access token, which clients should use from now on
+ * since the token names the username. A changed email address has to be verified again. Changing the Email needs the
+ * current password, like changing the password does.
+ * @authentication JWT authentication required
+ */
+router.patch(
+  "/users/:Username",
+  responds(200, sessionSchema),
+  requireAuth,
+  loginLimits,
+  [
+    check("CurrentPassword", "Current password is required to change the Email")
+      .if(body("Email").exists())
+      .not()
+      .isEmpty(),
+    body("Username", "Username must be at least 5 characters")
+      .optional()
+      .isLength({ min: 5 }),
+    body(
+      "Username",
+      "Username contains non alphanumeric characters - not allowed."
+    )
+      .optional()
+      .isAlphanumeric(),
+    check("Email", "Email does not appear to be valid").optional().isEmail(),
+    check("Birthday", "Birthday must be a date (YYYY-MM-DD)")
+      .optional({ values: "null" })
+      .isISO8601()
+      .toDate(),
+    check("PublicProfile", "PublicProfile must be true or false")
+      .optional()
+      .isBoolean()
+      .toBoolean(),
+    check(
+      "Password",
+      "Use PUT /users/:Username/password to change the password"
+    )
+      .not()
+      .exists(),
+    ...userViewChecks,
+  ],
+  validate,
+  (req, res, next) => {
+    if (req.body.Email === undefined) return next();
+    verifyCurrentPassword(req, res, next);
+  },
+  async (req, res, next) => {
+    if (req.user.Username !== req.params.Username) {
+      // username verification
+      return next(new ForbiddenError());
+    }
+
+    let update = { $set: {}, $unset: {} };
+    ["Username", "Email", "Birthday", "PublicProfile"].forEach((field) => {
+      if (req.body[field] === null) {
+        update.$unset[field] = "";
+      } else if (req.body[field] !== undefined) {
+        update.$set[field] = req.body[field];
+      }
+    });
+    const emailChanged =
+      req.body.Email !== undefined && req.body.Email !== req.user.Email;
+    if (emailChanged) {
+      update.$set.EmailVerified = false;
+    }
+
+    try {
+      if (req.body.Username && req.body.Username !== req.user.Username) {
+        if (await Users.exists({ Username: req.body.Username })) {
+          return next(
+            new ConflictError(
+              'The username "' + req.body.Username + '" is already taken.'
+            )
+          );
+        }
+      }
+
+      const updatedUser = await Users.findByIdAndUpdate(req.user._id, update, {
+        new: true,
+      });
+      if (emailChanged) {
+        sendVerificationEmail(updatedUser).catch((error) => {
+          req.log.error(
+            { err: error },
+            "Could not send the verification email"
+          );
+        });
+      }
+
+      res.json({
+        user: await serializeUser(updatedUser, req),
+        token: generateJWTToken(updatedUser),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route {PUT} /users/:Username/password
+ * @name Change password
+ * @routeparam {string} :Username - The username of the user
+ * @bodyparam {string} CurrentPassword - The user's current password
+ * @bodyparam {string} Password - The new password
+ * @description Logs the user out on all other devices. Returns `{ token, refreshToken }` so the current device stays logged in.
+ * Wrong current passwords count towards the login limits and lock the account like failed logins.
+ * @authentication JWT authentication required
+ */
+router.put(
+  "/users/:Username/password",
+  responds(200, tokensSchema),
+  requireAuth,
+  loginLimits,
+  [
+    check("CurrentPassword", "Current password is required").not().isEmpty(),
+    check("Password", "Password is required").not().isEmpty(),
+  ],
+  validate,
+  verifyCurrentPassword,
+  async (req, res, next) => {
+    try {
+      req.user.Password = Users.hashPassword(req.body.Password);
+      req.user.PasswordChangedAt = new Date();
+      await req.user.save();
+      await RefreshTokens.revokeAll(req.user._id);
+
+      let { refreshToken } = await generateRefreshToken(req.user);
+      res.json({ token: generateJWTToken(req.user), refreshToken });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route {POST} /users/:Username/movies/:MovieID
+ * @name Add movie to favorites
+ * @routeparam {string} :Username - The username of the user
+ * @routeparam {string} :MovieID - The ID of the movie
+ * @queryparam {string} [expand] - "favorites" to return the favorite movies as movie documents instead of IDs
+ * @description Returns a JSON object with the user's ID and their favorite movies list, or 404 if the movie does not
+ * exist. Adding a movie is pushed to
+ * the user's event streams (GET /events) and shows up in the feeds of the user's followers.
+ * @authentication JWT authentication required
+ */
+router.post(
+  "/users/:Username/movies/:MovieID",
+  responds(200, schemaRef("User")),
+  requireAuth,
+  [param("MovieID", "Invalid movie ID").isMongoId(), ...userViewChecks],
+  validate,
+  async (req, res, next) => {
+    if (req.user.Username !== req.params.Username) {
+      // username verification
+      return next(new ForbiddenError());
+    }
+    const wasFavorite = req.user.FavoriteMovies.map(String).includes(
+      req.params.MovieID
+    );
+    try {
+      if (!(await Movies.exists({ _id: req.params.MovieID }))) {
+        return next(new NotFoundError(req.params.MovieID + " was not found"));
+      }
+      const updatedUser = await Users.findOneAndUpdate(
+        { Username: req.params.Username },
+        { $addToSet: { FavoriteMovies: req.params.MovieID } },
+        { new: true, fields: { FavoriteMovies: 1 } }
+      );
+      if (!wasFavorite) {
+        publish(
+          "favorites.changed",
+          {
+            FavoriteMovies: updatedUser.FavoriteMovies,
+            added: req.params.MovieID,
+          },
+          req.user._id
+        );
+        await recordActivity(req.user._id, "favorite", {
+          Movie: req.params.MovieID,
+        });
+      }
+      res.json(await serializeUser(updatedUser, req));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route {DELETE} /users/:Username/movies/:MovieID
+ * @name Remove movie from favorites
+ * @routeparam {string} :Username - The username of the user
+ * @routeparam {string} :MovieID - The ID of the movie
+ * @queryparam {string} [expand] - "favorites" to return the favorite movies as movie documents instead of IDs
+ * @description Returns a JSON object with the user's ID and their favorite movies list. Removing a movie is pushed to
+ * the user's event streams (GET /events).
+ * @authentication JWT authentication required
+ */
+router.delete(
+  "/users/:Username/movies/:MovieID",
+  responds(200, schemaRef("User")),
+  requireAuth,
+  [param("MovieID", "Invalid movie ID").isMongoId(), ...userViewChecks],
+  validate,
+  async (req, res, next) => {
+    if (req.user.Username !== req.params.Username) {
+      // username verification
+      return next(new ForbiddenError());
+    }
+    const wasFavorite = req.user.FavoriteMovies.map(String).includes(
+      req.params.MovieID
+    );
+    await Users.findOneAndUpdate(
+      { Username: req.params.Username },
+      {
+        $pull: { FavoriteMovies: req.params.MovieID },
+      },
+      { new: true, fields: { FavoriteMovies: 1 } }
+    )
+      .then(async (updatedUser) => {
+        if (wasFavorite) {
+          publish(
+            "favorites.changed",
+            {
+              FavoriteMovies: updatedUser.FavoriteMovies,
+              removed: req.params.MovieID,
+            },
+            req.user._id
+          );
+          await removeActivity(req.user._id, "favorite", {
+            Movie: req.params.MovieID,
+          });
+        }
+        res.json(await serializeUser(updatedUser, req));
+      })
+      .catch(next);
+  }
+);
+
+/**
+ * @route {DELETE} /users/:Username
+ * @name Remove user
+ * @routeparam {string} :Username - Logged in user's username
+ * @description Deletes the account and logs it out on all devices. The account can be restored with
+ * POST /users/:Username/restore during a grace period (30 days by default), after which it is purged with all its
+ * reviews, lists and login history. Its reviews and public lists are hidden in the meantime. Returns a success message
+ * with the end of the grace period.
+ * @authentication JWT authentication required
+ */
+router.delete("/users/:Username", requireAuth, async (req, res, next) => {
+  if (req.user.Username !== req.params.Username) {
+    // username verification
+    return next(new ForbiddenError());
+  }
+  try {
+    const until = await deleteAccount(req.user);
+    res
+      .status(200)
+      .send(
+        req.params.Username +
+          " was deleted. It can be restored until " +
+          until.toISOString() +
+          "."
+      );
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @route {POST} /users/:Username/restore
+ * @name Restore a deleted user
+ * @routeparam {string} :Username - The username of the deleted account
+ * @bodyparam {string} Password - The password of the account
+ * @description Undoes the deletion of an account during its grace period and logs the user in. Returns the same
+ * `{ user, token, refreshToken }` as /login. Failed attempts count towards the login limits.
+ * @authentication No authentication required, the password is checked instead.
+ */
+router.post(
+  "/users/:Username/restore",
+  responds(200, sessionSchema),
+  loginLimits,
+  check("Password", "Password is required").isString().notEmpty(),
+  userViewChecks,
+  validate,
+  async (req, res, next) => {
+    try {
+      const user = await Users.findOne({ Username: req.params.Username });
+      if (!user || !user.validatePassword(req.body.Password)) {
+        return next(new UnauthorizedError("Incorrect username or password."));
+      }
+      if (!user.DeletedAt) {
+        return next(new ConflictError("The account is not deleted"));
+      }
+      if (!isRestorable(user)) {
+        // waiting to be purged
+        return next(new UnauthorizedError("Incorrect username or password."));
+      }
+
+      await restoreAccount(user);
+      await LoginEvents.create({
+        User: user._id,
+        Username: user.Username,
+        Success: true,
+        Reason: "account restored",
+        Ip: req.ip,
+        UserAgent: req.get("User-Agent"),
+      });
+      let { refreshToken } = await generateRefreshToken(user);
+      res.json({
+        user: await serializeUser(user, req),
+        token: generateJWTToken(user),
+        refreshToken,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route {GET} /users/:Username/export
+ * @name Export user data
+ * @routeparam {string} :Username - The username of the user
+ * @description Returns everything stored about the user as a JSON file download: `{ exportedAt, profile, favorites,
+ * reviews, lists, following, logins }`. The profile leaves out the password hash; favorites, reviews and lists name their movies
+ * by title and year.
+ * @authentication JWT authentication required
+ */
+router.get("/users/:Username/export", requireAuth, async (req, res, next) => {
+  if (req.user.Username !== req.params.Username) {
+    // username verification
+    return next(new ForbiddenError());
+  }
+  try {
+    const archive = await exportAccount(req.user);
+    res.set("Cache-Control", "no-store");
+    res.attachment(req.user.Username + "-export.json").json(archive);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @route {GET} /users/:Username/logins
+ * @name Get login history
+ * @routeparam {string} :Username - The username of the user
+ * @queryparam {number} [page=1] - The page to return
+ * @queryparam {number} [limit=20] - Number of events per page (max 100)
+ * @description Returns a page of successful and failed login attempts for the account (kept for 90 days), newest first,
+ * as `{ data, total, page, limit, pages, links }`.
+ * @authentication JWT authentication required
+ */
+router.get(
+  "/users/:Username/logins",
+  requireAuth,
+  paginationChecks,
+  validate,
+  async (req, res, next) => {
+    if (req.user.Username !== req.params.Username) {
+      // username verification
+      return next(new ForbiddenError());
+    }
+
+    const filter = { User: req.user._id };
+    const { skip, limit } = getPagination(req);
+    try {
+      const [events, total] = await Promise.all([
+        LoginEvents.find(filter)
+          .select("-User")
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit),
+        LoginEvents.countDocuments(filter),
+      ]);
+      res.json(paginate(req, events, total));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route {GET} /users/:Username/recommendations
+ * @name Get movie recommendations
+ * @routeparam {string} :Username - The username of the user
+ * @queryparam {number} [limit=10] - Maximum number of recommendations (max 50)
+ * @description Returns a JSON array of `{ movie, score, reasons }`, best first. Movies are ranked by how much their
+ * genre, director and actors have in common with the user's favorites, and by how often users with similar favorites
+ * liked them. `reasons` explains each suggestion, e.g. "Because you liked The Godfather (same director: ...)".
+ * Users without favorites get the highest rated movies.
+ * @authentication JWT authentication required
+ */
+router.get(
+  "/users/:Username/recommendations",
+  requireAuth,
+  query("limit", "limit must be between 1 and 50")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .toInt(),
+  validate,
+  async (req, res, next) => {
+    if (req.user.Username !== req.params.Username) {
+      // username verification
+      return next(new ForbiddenError());
+    }
+
+    const limit = req.query.limit || 10;
+    const favoriteIds = req.user.FavoriteMovies;
+
+    try {
+      const favorites = await Movies.find({ _id: { $in: favoriteIds } })
+        .withDetails()
+        .lean();
+      const otherUsers = await Users.find({
+        _id: { $ne: req.user._id },
+        DeletedAt: null,
+        FavoriteMovies: { $in: favoriteIds },
+      })
+        .select("FavoriteMovies")
+        .limit(1000)
+        .lean();
+
+      // only movies that have something in common with a favorite can score
+      const coFavoriteIds = _.flatMap(
+        otherUsers,
+        (user) => user.FavoriteMovies
+      );
+      const candidates = await Movies.find({
+        _id: { $nin: favoriteIds },
+        $or: [
+          { _id: { $in: coFavoriteIds } },
+          {
+            Genres: {
+              $in: _.compact(_.map(_.flatMap(favorites, "Genres"), "_id")),
+            },
+          },
+          {
+            Directors: {
+              $in: _.compact(_.map(_.flatMap(favorites, "Directors"), "_id")),
+            },
+          },
+          {
+            "Cast.Actor": { $in: _.map(_.flatMap(favorites, "Cast"), "Actor") },
+          },
+        ],
+      })
+        .withDetails()
+        .lean();
+
+      let recommendations = recommendMovies({
+        favorites,
+        candidates,
+        otherUsers,
+        limit,
+      });
+
+      if (!recommendations.length) {
+        const topRated = await Movies.find({
+          _id: { $nin: favoriteIds },
+          ReviewCount: { $gt: 0 },
+        })
+          .withDetails()
+          .sort({ AverageRating: -1, ReviewCount: -1 })
+          .limit(limit)
+          .lean();
+        recommendations = topRated.map((movie) => ({
+          movie,
+          score: 0,
+          reasons: ["Highly rated by other users"],
+        }));
+      }
+
+      res.json(recommendations);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @constant {Array} listChecks
+ * @description express-validator checks for the list request body. Every field is optional so they also serve PATCH.
+ */
+const listChecks = [
+  check("Name", "Name must be 1 to 100 characters")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 }),
+  check("Public", "Public must be true or false")
+    .optional()
+    .isBoolean()
+    .toBoolean(),
+];
+
+/**
+ * Middleware that checks that the logged in user owns the lists in the URL and loads the list named by `:listId`
+ * into `req.list`. Besides an ID, `:listId` can be "watchlist" or "watched" for the user's default lists.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {function} next
+ */
+let loadList = async (req, res, next) => {
+  if (req.user.Username !== req.params.Username) {
+    // username verification
+    return next(new ForbiddenError());
+  }
+
+  let filter = { User: req.user._id };
+  if (Object.hasOwn(Lists.defaultLists, req.params.listId)) {
+    filter.Kind = req.params.listId;
+  } else if (mongoose.isValidObjectId(req.params.listId)) {
+    filter._id = req.params.listId;
+  } else {
+    return next(new NotFoundError(req.params.listId + " was not found"));
+  }
+
+  try {
+    if (filter.Kind) await Lists.ensureDefaultLists(req.user._id);
+    req.list = await Lists.findOne(filter);
+  } catch (err) {
+    return next(err);
+  }
+  if (!req.list) {
+    return next(new NotFoundError(req.params.listId + " was not found"));
+  }
+  next();
+};
+
+/**
+ * Populates the movies of a list query.
+ * @param {Object} listQuery - A mongoose query returning lists
+ * @returns {Object} The query
+ */
+let withListMovies = (listQuery) => {
+  return listQuery.populate({
+    path: "Items.Movie",
+    populate: ["Genres", "Directors"],
+  });
+};
+
+/**
+ * @route {GET} /users/:Username/lists
+ * @name Get the user's lists
+ * @routeparam {string} :Username - The username of the user
+ * @description Returns a JSON array with the user's lists (without their movies). The "Watch later" (Kind "watchlist")
+ * and "Watched" (Kind "watched") lists always exist.
+ * @authentication JWT authentication required
+ */
+router.get(
+  "/users/:Username/lists",
+  responds(200, { type: "array", items: schemaRef("List") }),
+  requireAuth,
+  async (req, res, next) => {
+    if (req.user.Username !== req.params.Username) {
+      // username verification
+      return next(new ForbiddenError());
+    }
+
+    try {
+      await Lists.ensureDefaultLists(req.user._id);
+      const lists = await Lists.find({ User: req.user._id })
+        .select("-Items")
+        .sort({ createdAt: 1 });
+      res.json(lists);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route {POST} /users/:Username/lists
+ * @name Create a list
+ * @routeparam {string} :Username - The username of the user
+ * @bodyparam {string} Name - The name of the list
+ * @bodyparam {boolean} [Public=false] - Whether anyone with the list's Slug can see it
+ * @description Returns a JSON object holding the new list. Public lists show up in the feeds of the user's followers.
+ * @authentication JWT authentication required
+ */
+router.post(
+  "/users/:Username/lists",
+  responds(201, schemaRef("List")),
+  requireAuth,
+  [check("Name", "Name is required").exists(), ...listChecks],
+  validate,
+  async (req, res, next) => {
+    if (req.user.Username !== req.params.Username) {
+      // username verification
+      return next(new ForbiddenError());
+    }
+
+    await Lists.create({
+      User: req.user._id,
+      Name: req.body.Name,
+      Public: req.body.Public,
+    })
+      .then(async (list) => {
+        if (list.Public) {
+          await recordActivity(req.user._id, "list", { List: list._id });
+        }
+        res.status(201).json(list);
+      })
+      .catch(next);
+  }
+);
+
+/**
+ * @route {GET} /users/:Username/lists/:listId
+ * @name Get a list
+ * @routeparam {string} :Username - The username of the user
+ * @routeparam {string} :listId - The ID of the list, or "watchlist" / "watched"
+ * @description Returns a JSON object holding the list with its movies in order.
+ * @authentication JWT authentication required
+ */
+router.get(
+  "/users/:Username/lists/:listId",
+  responds(200, schemaRef("List")),
+  requireAuth,
+  loadList,
+  async (req, res, next) => {
+    await withListMovies(Lists.findById(req.list._id))
+      .then((list) => {
+        res.json(list);
+      })
+      .catch(next);
+  }
+);
+
+/**
+ * @route {PATCH} /users/:Username/lists/:listId
+ * @name Rename a list or change its visibility
+ * @routeparam {string} :Username - The username of the user
+ * @routeparam {string} :listId - The ID of the list, or "watchlist" / "watched"
+ * @bodyparam {string} [Name] - The new name of the list
+ * @bodyparam {boolean} [Public] - Whether anyone with the list's Slug can see it
+ * @description Returns a JSON object holding the updated list. Making a list public shows it in the feeds of the
+ * user's followers; making it private again removes it from them.
+ * @authentication JWT authentication required
+ */
+router.patch(
+  "/users/:Username/lists/:listId",
+  responds(200, schemaRef("List")),
+  requireAuth,
+  listChecks,
+  loadList,
+  validate,
+  async (req, res, next) => {
+    if (req.body.Name !== undefined) req.list.Name = req.body.Name;
+    const madePublic = req.body.Public !== undefined && !req.list.Public;
+    if (req.body.Public !== undefined) req.list.Public = req.body.Public;
+
+    await req.list
+      .save()
+      .then(async (list) => {
+        if (!list.Public) {
+          await removeActivity(req.user._id, "list", { List: list._id });
+        } else if (madePublic) {
+          await recordActivity(req.user._id, "list", { List: list._id });
+        }
+        res.json(list);
+      })
+      .catch(next);
+  }
+);
+
+/**
+ * @route {DELETE} /users/:Username/lists/:listId
+ * @name Remove a list
+ * @routeparam {string} :Username - The username of the user
+ * @routeparam {string} :listId - The ID of the list
+ * @description Returns a success message or error message. The watchlist and watched list cannot be removed.
+ * @authentication JWT authentication required
+ */
+router.delete(
+  "/users/:Username/lists/:listId",
+  requireAuth,
+  loadList,
+  async (req, res, next) => {
+    if (req.list.Kind !== "custom") {
+      return next(new BadRequestError(req.list.Name + " cannot be removed"));
+    }
+
+    await req.list
+      .deleteOne()
+      .then(async () => {
+        await removeActivity(req.user._id, "list", { List: req.list._id });
+        res.status(200).send(req.list.Name + " was deleted.");
+      })
+      .catch(next);
+  }
+);
+
+/**
+ * @route {POST} /users/:Username/lists/:listId/movies/:MovieID
+ * @name Add movie to a list
+ * @routeparam {string} :Username - The username of the user
+ * @routeparam {string} :listId - The ID of the list, or "watchlist" / "watched"
+ * @routeparam {string} :MovieID - The ID of the movie
+ * @bodyparam {number} [Position] - Zero based position to insert the movie at, defaults to the end of the list
+ * @bodyparam {date} [WatchedAt] - When the movie was watched, defaults to now for the watched list
+ * @description Returns a JSON object holding the updated list. Adding a movie that is already on the list updates its WatchedAt.
+ * @authentication JWT authentication required
+ */
+router.post(
+  "/users/:Username/lists/:listId/movies/:MovieID",
+  responds(200, schemaRef("List")),
+  requireAuth,
+  [
+    param("MovieID", "Invalid movie ID").isMongoId(),
+    check("Position", "Position must be a whole number")
+      .optional()
+      .isInt({ min: 0 })
+      .toInt(),
+    check("WatchedAt", "WatchedAt must be a date")
+      .optional()
+      .isISO8601()
+      .toDate(),
+  ],
+  loadList,
+  validate,
+  async (req, res, next) => {
+    try {
+      if (!(await Movies.exists({ _id: req.params.MovieID }))) {
+        return next(new NotFoundError(req.params.MovieID + " was not found"));
+      }
+
+      let watchedAt = req.body.WatchedAt;
+      if (!watchedAt && req.list.Kind === "watched") watchedAt = new Date();
+
+      let item = req.list.Items.find((item) =>
+        item.Movie.equals(req.params.MovieID)
+      );
+      if (item) {
+        if (watchedAt) item.WatchedAt = watchedAt;
+      } else {
+        let position =
+          req.body.Position === undefined
+            ? req.list.Items.length
+            : req.body.Position;
+        req.list.Items.splice(position, 0, {
+          Movie: req.params.MovieID,
+          WatchedAt: watchedAt,
+        });
+      }
+      await req.list.save();
+      res.json(await withListMovies(Lists.findById(req.list._id)));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route {DELETE} /users/:Username/lists/:listId/movies/:MovieID
+ * @name Remove movie from a list
+ * @routeparam {string} :Username - The username of the user
+ * @routeparam {string} :listId - The ID of the list, or "watchlist" / "watched"
+ * @routeparam {string} :MovieID - The ID of the movie
+ * @description Returns a JSON object holding the updated list.
+ * @authentication JWT authentication required
+ */
+router.delete(
+  "/users/:Username/lists/:listId/movies/:MovieID",
+  responds(200, schemaRef("List")),
+  requireAuth,
+  param("MovieID", "Invalid movie ID").isMongoId(),
+  loadList,
+  validate,
+  async (req, res, next) => {
+    await withListMovies(
+      Lists.findByIdAndUpdate(
+        req.list._id,
+        { $pull: { Items: { Movie: req.params.MovieID } } },
+        { new: true }
+      )
+    )
+      .then((list) => {
+        res.json(list);
+      })
+      .catch(next);
+  }
+);
+
+/**
+ * @route {PUT} /users/:Username/lists/:listId/order
+ * @name Reorder a list
+ * @routeparam {string} :Username - The username of the user
+ * @routeparam {string} :listId - The ID of the list, or "watchlist" / "watched"
+ * @bodyparam {string[]} Movies - The IDs of all movies on the list, in the new order
+ * @description Returns a JSON object holding the reordered list.
+ * @authentication JWT authentication required
+ */
+router.put(
+  "/users/:Username/lists/:listId/order",
+  responds(200, schemaRef("List")),
+  requireAuth,
+  [
+    check("Movies", "Movies must be a list of movie IDs").isArray(),
+    check("Movies.*", "Movies must be a list of movie IDs").isMongoId(),
+  ],
+  loadList,
+  validate,
+  async (req, res, next) => {
+    let itemsByMovie = _.keyBy(req.list.Items, (item) => item.Movie.toString());
+    let order = _.uniq(req.body.Movies);
+    if (
+      order.length !== req.list.Items.length ||
+      !order.every((movieId) => itemsByMovie[movieId])
+    ) {
+      return next(
+        new ValidationError(
+          [
+            {
+              path: "Movies",
+              location: "body",
+              msg: "Movies must contain every movie of the list exactly once",
+            },
+          ],
+          "Movies must contain every movie of the list exactly once"
+        )
+      );
+    }
+
+    req.list.Items = order.map((movieId) => itemsByMovie[movieId].toObject());
+    try {
+      await req.list.save();
+      res.json(await withListMovies(Lists.findById(req.list._id)));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route {GET} /lists/:Slug
+ * @name Get a shared list
+ * @routeparam {string} :Slug - The Slug of a public list
+ * @description Returns a JSON object holding the list, its owner's username and its movies in order. Lists of deleted
+ * accounts are not found.
+ * @authentication No authentication required.
+ */
+router.get(
+  "/lists/:Slug",
+  responds(200, schemaRef("List")),
+  async (req, res, next) => {
+    await withListMovies(
+      Lists.findOne({ Slug: req.params.Slug, Public: true }).populate({
+        path: "User",
+        select: "Username",
+        match: { DeletedAt: null },
+      })
+    )
+      .then((list) => {
+        if (!list || !list.User) {
+          return next(new NotFoundError(req.params.Slug + " was not found"));
+        }
+        res.json(list);
+      })
+      .catch(next);
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+/**
+ * @file scripts/backfill-search-words.js
+ * @description Fills in the SearchWords of all movies, which the search uses to narrow down the catalog. The API keeps
+ * them up to date; run this once for movies from before the field existed, and after changing movies directly in the
+ * database or with the migration scripts. Safe to run more than once.
+ * Usage: CONNECTION_URI=... node scripts/backfill-search-words.js
+ */
+
+const mongoose = require("mongoose");
+const Models = require("../models.js");
+const { config } = require("../config");
+const { ownSearchFields, searchWords } = require("../search");
+
+let backfill = async () => {
+  await mongoose.connect(config.mongoUri);
+
+  let count = 0;
+  const movies = Models.Movie.find()
+    .select(ownSearchFields.join(" "))
+    .lean()
+    .cursor();
+  for await (const movie of movies) {
+    await Models.Movie.collection.updateOne(
+      { _id: movie._id },
+      { $set: { SearchWords: searchWords(movie) } }
+    );
+    count++;
+  }
+  console.log(count + " movie(s) updated");
+};
+
+backfill()
+  .catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,37 @@
+/**
+ * @file scripts/backfill-timestamps.js
+ * @description Gives movies, genres and directors created before they had timestamps a createdAt and updatedAt,
+ * taken from the creation time in their ObjectId, so they get Last-Modified headers too. Safe to run more than once.
+ * Usage: CONNECTION_URI=... node scripts/backfill-timestamps.js
+ */
+
+const mongoose = require("mongoose");
+const Models = require("../models.js");
+const { config } = require("../config");
+
+let backfill = async () => {
+  await mongoose.connect(config.mongoUri);
+
+  for (const Model of [Models.Movie, Models.Genre, Models.Director]) {
+    const result = await Model.updateMany(
+      { updatedAt: { $exists: false } },
+      [
+        {
+          $set: {
+            createdAt: { $toDate: "$_id" },
+            updatedAt: { $toDate: "$_id" },
+          },
+        },
+      ],
+      { timestamps: false }
+    );
+    console.log(Model.modelName + ": " + result.modifiedCount + " updated");
+  }
+};
+
+backfill()
+  .catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,34 @@
+/**
+ * @file scripts/export-movies.js
+ * @description Exports the movie catalog as JSON or CSV, to a file or to stdout, e.g. for backups.
+ * The file can be imported again with scripts/import-movies.js.
+ * Usage: CONNECTION_URI=... node scripts/export-movies.js <json|csv> [file]
+ */
+
+const fs = require("fs");
+const { pipeline } = require("stream/promises");
+const { Readable } = require("stream");
+const mongoose = require("mongoose");
+const { config } = require("../config");
+const { formats, exportMovies } = require("../bulk");
+
+let exportCatalog = async (format, file) => {
+  await mongoose.connect(config.mongoUri);
+  await pipeline(
+    Readable.from(exportMovies(format)),
+    file ? fs.createWriteStream(file) : process.stdout
+  );
+};
+
+const [format, file] = process.argv.slice(2);
+if (!formats.includes(format)) {
+  console.error("Usage: node scripts/export-movies.js <json|csv> [file]");
+  process.exit(1);
+}
+
+exportCatalog(format, file)
+  .catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,72 @@
+/**
+ * @file scripts/import-movies.js
+ * @description Imports movies from a JSON or CSV file (chosen by the file extension), in the format of POST /movies/import.
+ * Usage: CONNECTION_URI=... node scripts/import-movies.js <file.json|file.csv> [--dry-run]
+ */
+
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+const { config } = require("../config");
+const { parseMovies, importMovies } = require("../bulk");
+
+let importFile = async (file, dryRun) => {
+  const format = path.extname(file).slice(1).toLowerCase();
+  const rows = parseMovies(await fs.promises.readFile(file, "utf8"), format);
+
+  await mongoose.connect(config.mongoUri);
+  const report = await importMovies(rows, { dryRun });
+
+  report.rows
+    .filter((row) => row.status !== "unchanged")
+    .forEach((row) => {
+      let line = "Row " + row.row + ": " + row.status + " " + (row.Title || "");
+      if (row.Year) line += " (" + row.Year + ")";
+      if (row.changes) line += " - changed " + row.changes.join(", ");
+      if (row.errors) {
+        line +=
+          " - " +
+          row.errors
+            .map(
+              (error) => (error.field ? error.field + ": " : "") + error.message
+            )
+            .join("; ");
+      }
+      console.log(line);
+    });
+  if (report.newGenres.length) {
+    console.log("New genres: " + report.newGenres.join(", "));
+  }
+  if (report.newDirectors.length) {
+    console.log("New directors: " + report.newDirectors.join(", "));
+  }
+  const { created, updated, unchanged, failed } = report.summary;
+  console.log(
+    (dryRun ? "Dry run, nothing was saved. " : "") +
+      created +
+      " created, " +
+      updated +
+      " updated, " +
+      unchanged +
+      " unchanged, " +
+      failed +
+      " failed"
+  );
+  if (failed) process.exitCode = 1;
+};
+
+const args = process.argv.slice(2);
+const file = args.find((arg) => !arg.startsWith("--"));
+if (!file) {
+  console.error(
+    "Usage: node scripts/import-movies.js <file.json|file.csv> [--dry-run]"
+  );
+  process.exit(1);
+}
+
+importFile(file, args.includes("--dry-run"))
+  .catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,66 @@
+/**
+ * @file scripts/migrate-movie-metadata.js
+ * @description One-off migration of movies to SchemaVersion 2: the Genre and Director references become the first
+ * entries of Genres and Directors, the Actors become the Cast in the same billing order and the ImagePath becomes the
+ * medium size poster. Movies that are already migrated are skipped, so the script can safely be run more than once.
+ * Movies still holding embedded genres or directors need scripts/normalize-genres-directors.js first.
+ * Usage: CONNECTION_URI=... node scripts/migrate-movie-metadata.js
+ */
+
+const mongoose = require("mongoose");
+const Models = require("../models.js");
+const { config } = require("../config");
+
+const Movies = Models.Movie;
+
+let migrate = async () => {
+  await mongoose.connect(config.mongoUri);
+
+  // read the raw documents, the Movie model no longer knows the version 1 fields
+  const movies = await Movies.collection
+    .find({ SchemaVersion: { $exists: false } })
+    .toArray();
+
+  let migrated = 0;
+  for (const movie of movies) {
+    const embedded = [movie.Genre, movie.Director].some(
+      (value) => value && value.Name
+    );
+    if (embedded) {
+      console.log(
+        "Skipped " +
+          movie.Title +
+          ": run scripts/normalize-genres-directors.js first"
+      );
+      continue;
+    }
+
+    let update = {
+      $set: {
+        SchemaVersion: 2,
+        Genres: movie.Genre ? [movie.Genre] : [],
+        Directors: movie.Director ? [movie.Director] : [],
+        Cast: (movie.Actors || []).map((Actor, index) => ({
+          Actor,
+          Order: index + 1,
+        })),
+      },
+      $unset: { Genre: "", Director: "", Actors: "", ImagePath: "" },
+    };
+    if (movie.ImagePath) {
+      update.$set.Images = { Poster: { Medium: movie.ImagePath } };
+    }
+    await Movies.collection.updateOne({ _id: movie._id }, update);
+    migrated++;
+    console.log("Migrated " + movie.Title);
+  }
+
+  console.log(migrated + " movie(s) migrated");
+};
+
+migrate()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,66 @@
+/**
+ * @file scripts/normalize-genres-directors.js
+ * @description One-off migration that moves the Genre and Director subdocuments embedded in every movie into the
+ * genres and directors collections and replaces them with references. Movies that already hold references are skipped,
+ * so the script can safely be run more than once.
+ * Usage: CONNECTION_URI=... node scripts/normalize-genres-directors.js
+ */
+
+const mongoose = require("mongoose");
+const Models = require("../models.js");
+const { config } = require("../config");
+
+const Movies = Models.Movie;
+const Genres = Models.Genre;
+const Directors = Models.Director;
+
+let migrate = async () => {
+  await mongoose.connect(config.mongoUri);
+
+  // read the raw documents, the Movie model can no longer cast the embedded fields
+  const movies = await Movies.collection
+    .find({
+      $or: [
+        { "Genre.Name": { $exists: true } },
+        { "Director.Name": { $exists: true } },
+      ],
+    })
+    .toArray();
+
+  for (const movie of movies) {
+    let update = {};
+    if (movie.Genre && movie.Genre.Name) {
+      const genre = await Genres.findOneAndUpdate(
+        { Name: movie.Genre.Name },
+        { $setOnInsert: { Description: movie.Genre.Description } },
+        { upsert: true, new: true }
+      );
+      update.Genre = genre._id;
+    }
+    if (movie.Director && movie.Director.Name) {
+      const director = await Directors.findOneAndUpdate(
+        { Name: movie.Director.Name },
+        {
+          $setOnInsert: {
+            Bio: movie.Director.Bio,
+            BirthYear: movie.Director.Birth || movie.Director.BirthYear,
+            DeathYear: movie.Director.Death || movie.Director.DeathYear,
+          },
+        },
+        { upsert: true, new: true }
+      );
+      update.Director = director._id;
+    }
+    await Movies.collection.updateOne({ _id: movie._id }, { $set: update });
+    console.log("Migrated " + movie.Title);
+  }
+
+  console.log(movies.length + " movie(s) migrated");
+};
+
+migrate()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,23 @@
+/**
+ * @file scripts/purge-deleted-accounts.js
+ * @description Purges the deleted accounts whose grace period has ended, for running from cron when the purge job of
+ * the server is turned off (PURGE_INTERVAL_MINUTES=0).
+ * Usage: CONNECTION_URI=... node scripts/purge-deleted-accounts.js
+ */
+
+const mongoose = require("mongoose");
+const { config } = require("../config");
+const { purgeDeletedAccounts } = require("../accounts");
+
+let purge = async () => {
+  await mongoose.connect(config.mongoUri);
+  const count = await purgeDeletedAccounts();
+  console.log(count + " account(s) purged");
+};
+
+purge()
+  .catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
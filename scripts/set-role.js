@@ -0,0 +1,38 @@
+/**
+ * @file scripts/set-role.js
+ * @description Gives a user a role, e.g. to create the first admin account.
+ * Usage: CONNECTION_URI=... node scripts/set-role.js <Username> <user|admin>
+ */
+
+const mongoose = require("mongoose");
+const Models = require("../models.js");
+const { config } = require("../config");
+
+const Users = Models.User;
+
+let setRole = async (username, role) => {
+  await mongoose.connect(config.mongoUri);
+
+  const user = await Users.findOneAndUpdate(
+    { Username: username },
+    { $set: { Role: role } },
+    { new: true, runValidators: true }
+  );
+  if (!user) {
+    throw new Error(username + " was not found");
+  }
+  console.log(username + " now has the " + role + " role");
+};
+
+const [username, role] = process.argv.slice(2);
+if (!username || !role) {
+  console.error("Usage: node scripts/set-role.js <Username> <user|admin>");
+  process.exit(1);
+}
+
+setRole(username, role)
+  .catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,188 @@
+/**
+ * @file search.js
+ * @description Relevance scoring for the movie search endpoint. Matches query terms against the searchable movie fields,
+ * allowing prefix matches (for autocomplete) and small typos.
+ * Scoring runs in JS, so the endpoint first narrows the catalog with an indexed query: every term has to share its first
+ * letters (see `termPrefix`) with a word of the movie's SearchWords, or of the name of one of its genres or directors.
+ * Typos in those first letters are therefore not corrected.
+ */
+
+/**
+ * @constant {Object} fieldWeights
+ * @description How much a match in each movie field counts towards the relevance score.
+ */
+const fieldWeights = {
+  Title: 10,
+  "Genres.Name": 5,
+  "Directors.Name": 5,
+  "Cast.Actor": 4,
+  "Cast.Character": 2,
+  Description: 1,
+};
+
+/**
+ * Splits text into lowercase words, dropping accents and punctuation.
+ * @param {string} text
+ * @returns {string[]}
+ */
+let tokenize = (text) => {
+  return (text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+};
+
+/**
+ * Optimal string alignment distance between two words (Levenshtein plus adjacent transpositions),
+ * giving up early once it exceeds `max`.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max - The largest distance we care about
+ * @returns {number} The distance, or `max + 1` if it is larger than `max`
+ */
+let editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = [];
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      let cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        prev[j] + 1,
+        current[j - 1] + 1,
+        prev[j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], prevPrev[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = current;
+  }
+  return prev[b.length];
+};
+
+/**
+ * Scores how well a single query term matches a word.
+ * Exact matches score 1, prefix matches 0.8 and matches within the allowed number of typos 0.5.
+ * @param {string} term - Query term
+ * @param {string} word - Word from a movie field
+ * @returns {number}
+ */
+let matchTerm = (term, word) => {
+  if (word === term) return 1;
+  if (word.startsWith(term)) return 0.8;
+  // short terms are too ambiguous to correct
+  let allowedTypos = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+  if (allowedTypos && editDistance(term, word, allowedTypos) <= allowedTypos) {
+    return 0.5;
+  }
+  // also allow a typo inside a prefix, e.g. "godfahter" -> "godfather"
+  if (
+    allowedTypos &&
+    word.length > term.length &&
+    editDistance(term, word.slice(0, term.length), allowedTypos) <= allowedTypos
+  ) {
+    return 0.4;
+  }
+  return 0;
+};
+
+/**
+ * Reads the text of a (possibly nested or array) field from a plain movie object.
+ * @param {Object} movie
+ * @param {string} path - Dotted field path, e.g. "Genres.Name", which collects the names of all genres
+ * @returns {string}
+ */
+let fieldText = (movie, path) => {
+  let values = path
+    .split(".")
+    .reduce(
+      (objects, key) =>
+        objects.flatMap((obj) => (obj == null ? [] : [].concat(obj[key]))),
+      [movie]
+    );
+  return values.filter((value) => value != null).join(" ");
+};
+
+/**
+ * Computes the relevance score of a movie for a search query.
+ * Each query term contributes its best weighted match over all fields; a title that contains the whole query gets a bonus.
+ * @param {Object} movie - Plain movie object holding at least the searchable fields
+ * @param {string} q - The search query
+ * @returns {number} 0 if any query term does not match at all
+ */
+let scoreMovie = (movie, q) => {
+  let terms = tokenize(q);
+  if (!terms.length) return 0;
+
+  let fieldWords = Object.keys(fieldWeights).map((path) => ({
+    weight: fieldWeights[path],
+    words: tokenize(fieldText(movie, path)),
+  }));
+
+  let score = 0;
+  for (let term of terms) {
+    let best = 0;
+    for (let { weight, words } of fieldWords) {
+      for (let word of words) {
+        best = Math.max(best, weight * matchTerm(term, word));
+      }
+    }
+    if (!best) return 0; // every term has to match somewhere
+    score += best;
+  }
+
+  if (tokenize(movie.Title).join(" ").includes(terms.join(" "))) {
+    score += fieldWeights.Title;
+  }
+  return score;
+};
+
+/**
+ * @constant {string[]} ownSearchFields
+ * @description The searchable fields stored on the movie itself, whose words are kept in its SearchWords.
+ */
+const ownSearchFields = Object.keys(fieldWeights)
+  .filter(
+    (path) => !path.startsWith("Genres.") && !path.startsWith("Directors.")
+  )
+  .map((path) => path.split(".")[0])
+  .filter((field, index, fields) => fields.indexOf(field) === index);
+
+/**
+ * Collects the distinct words of the searchable fields stored on a movie, for its SearchWords.
+ * @param {Object} movie - Plain movie object holding the fields of `ownSearchFields`
+ * @returns {string[]}
+ */
+let searchWords = (movie) => {
+  let words = Object.keys(fieldWeights)
+    .filter((path) => ownSearchFields.includes(path.split(".")[0]))
+    .flatMap((path) => tokenize(fieldText(movie, path)));
+  return [...new Set(words)];
+};
+
+/**
+ * The beginning a word has to share with a query term to be considered by the search at all. Two letters keep the
+ * prefilter selective while still letting `matchTerm` correct typos after them.
+ * @param {string} term - A query term from `tokenize`
+ * @returns {string}
+ */
+let termPrefix = (term) => {
+  return term.slice(0, 2);
+};
+
+module.exports = {
+  fieldWeights,
+  ownSearchFields,
+  tokenize,
+  searchWords,
+  termPrefix,
+  scoreMovie,
+};
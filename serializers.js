@@ -0,0 +1,90 @@
+/**
+ * @file serializers.js
+ * @description Shapes the user objects sent to clients. Secrets never leave the models (see the toJSON transform of the
+ * user schema); on top of that, clients can choose the fields they need with `?fields=` and get their favorites as
+ * movie documents with `?expand=favorites`.
+ */
+
+const _ = require("lodash");
+const { query } = require("express-validator");
+const Models = require("./models.js");
+
+const Movies = Models.Movie;
+
+/**
+ * @constant {string[]} userFields
+ * @description The user fields clients can ask for with `?fields=`. `_id` is always included.
+ */
+const userFields = [
+  "Username",
+  "Email",
+  "EmailVerified",
+  "Birthday",
+  "FavoriteMovies",
+  "Role",
+  "PublicProfile",
+];
+
+/**
+ * @constant {string[]} userExpansions
+ * @description The references `?expand=` can replace with the referenced documents.
+ */
+const userExpansions = ["favorites"];
+
+/**
+ * @constant {Array} userViewChecks
+ * @description express-validator checks for the `fields` and `expand` query parameters of routes returning a user.
+ */
+const userViewChecks = [
+  query("fields", "fields can contain " + userFields.join(", "))
+    .optional()
+    .isString()
+    .custom((fields) =>
+      fields.split(",").every((field) => userFields.includes(field.trim()))
+    ),
+  query("expand", "expand can contain " + userExpansions.join(", "))
+    .optional()
+    .isString()
+    .custom((expand) =>
+      expand.split(",").every((name) => userExpansions.includes(name.trim()))
+    ),
+];
+
+/**
+ * Splits a comma separated query parameter.
+ * @param {string} [value]
+ * @returns {string[]}
+ */
+let listParam = (value) => {
+  return value ? value.split(",").map((item) => item.trim()) : [];
+};
+
+/**
+ * Turns a user into the object sent to the client, as asked for by the (already validated) `fields` and `expand`
+ * query parameters.
+ * @param {Object} user - The user document, possibly with only some fields selected
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>}
+ */
+let serializeUser = async (user, req) => {
+  let json = user.toJSON();
+
+  if (
+    listParam(req.query.expand).includes("favorites") &&
+    json.FavoriteMovies
+  ) {
+    const movies = await Movies.find({ _id: { $in: json.FavoriteMovies } })
+      .withDetails()
+      .lean();
+    const moviesById = _.keyBy(movies, (movie) => movie._id.toString());
+    // in the order they were added; movies deleted meanwhile are left out
+    json.FavoriteMovies = json.FavoriteMovies.map(
+      (id) => moviesById[id.toString()]
+    ).filter(Boolean);
+  }
+
+  const fields = listParam(req.query.fields);
+  return fields.length ? _.pick(json, ["_id", ...fields]) : json;
+};
+
+module.exports = { userFields, userViewChecks, serializeUser };
@@ -0,0 +1,103 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { request, setupDatabase } = require("./helpers");
+
+setupDatabase();
+
+describe("app", () => {
+  it("answers the root with a welcome message", async () => {
+    const res = await request.get("/").expect(200);
+    assert.match(res.text, /Welcome to the MovieBase API/);
+    assert.match(res.text, /\/api\/v1\/openapi\.json/);
+  });
+
+  it("reports liveness and readiness", async () => {
+    const live = await request.get("/healthz").expect(200);
+    assert.equal(live.body.status, "ok");
+
+    const ready = await request.get("/readyz").expect(200);
+    assert.deepEqual(ready.body, {
+      status: "ready",
+      database: "connected",
+      shuttingDown: false,
+    });
+  });
+
+  it("serves Prometheus metrics", async () => {
+    await request.get("/").expect(200);
+    const res = await request.get("/metrics").expect(200);
+    assert.match(res.text, /http_requests_total\{method="GET",route="\/"/);
+  });
+
+  it("serves the OpenAPI document", async () => {
+    const res = await request.get("/api/v1/openapi.json").expect(200);
+    assert.equal(res.body.openapi, "3.0.3");
+    assert.ok(res.body.paths["/users/{Username}/movies/{MovieID}"].post);
+
+    // the new username is a body field, separate from the path parameter
+    const patch = res.body.paths["/users/{Username}"].patch;
+    const pathParam = patch.parameters.find((p) => p.in === "path");
+    assert.deepEqual(pathParam.schema, { type: "string" });
+    const bodySchema = patch.requestBody.content["application/json"].schema;
+    assert.equal(bodySchema.properties.Username.minLength, 5);
+
+    // bodies checked by the auth routes and the dates of user updates
+    const login = res.body.paths["/login"].post;
+    assert.deepEqual(
+      login.requestBody.content["application/json"].schema.required,
+      ["Username", "Password"]
+    );
+    assert.ok(res.body.paths["/token/refresh"].post.requestBody);
+    const put = res.body.paths["/users/{Username}"].put;
+    assert.equal(
+      put.requestBody.content["application/json"].schema.properties.Birthday
+        .format,
+      "date-time"
+    );
+
+    // responses refer to the document schemas, which leave out hidden fields
+    const { schemas } = res.body.components;
+    assert.deepEqual(
+      login.responses["200"].content["application/json"].schema.properties.user,
+      { $ref: "#/components/schemas/User" }
+    );
+    assert.equal(schemas.User.properties.Password, undefined);
+    assert.equal(schemas.Movie.properties.SearchWords, undefined);
+    assert.equal(schemas.Movie.properties.Title.type, "string");
+    const created = res.body.paths["/users/{Username}/lists"].post;
+    assert.deepEqual(created.responses["201"].content["application/json"], {
+      schema: { $ref: "#/components/schemas/List" },
+    });
+    const movies = res.body.paths["/movies"].get.responses["200"];
+    assert.deepEqual(
+      movies.content["application/json"].schema.properties.data.items,
+      { $ref: "#/components/schemas/Movie" }
+    );
+  });
+
+  it("answers unknown routes with problem details and a request ID", async () => {
+    const res = await request
+      .get("/nothing-here")
+      .expect(404)
+      .expect("Content-Type", /application\/problem\+json/);
+    assert.equal(res.body.status, 404);
+    assert.equal(res.body.requestId, res.headers["x-request-id"]);
+  });
+
+  it("echoes a valid incoming request ID", async () => {
+    const res = await request
+      .get("/nothing-here")
+      .set("X-Request-Id", "trace-42")
+      .expect(404);
+    assert.equal(res.headers["x-request-id"], "trace-42");
+    assert.equal(res.body.requestId, "trace-42");
+  });
+
+  it("serves the API under /api/v1 as well", async () => {
+    const res = await request
+      .post("/api/v1/login")
+      .query({ Username: "nobody", Password: "wrong" })
+      .expect(401);
+    assert.equal(res.body.type, "/problems/unauthorized");
+  });
+});
@@ -0,0 +1,425 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+const {
+  request,
+  mails,
+  waitFor,
+  setupDatabase,
+  createUser,
+  login,
+  createLoggedInUser,
+} = require("./helpers");
+const { config } = require("../config");
+
+setupDatabase();
+
+// the token of the first link in the last email sent
+let mailedToken = () => mails[mails.length - 1].text.match(/token=(\w+)/)[1];
+
+let wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("POST /login", () => {
+  it("returns the user, an access token and a refresh token", async () => {
+    const user = await createUser();
+    const res = await login(user);
+    assert.equal(res.user.Username, "testuser");
+    assert.equal(res.user.Password, undefined);
+    assert.equal(typeof res.refreshToken, "string");
+
+    // the token only identifies the user
+    const payload = jwt.decode(res.token);
+    assert.equal(payload.sub, "testuser");
+    assert.deepEqual(Object.keys(payload).sort(), ["_id", "exp", "iat", "sub"]);
+  });
+
+  it("rejects a wrong password and an unknown username alike", async () => {
+    await createUser();
+    const wrongPassword = await request
+      .post("/login")
+      .query({ Username: "testuser", Password: "wrong" })
+      .expect(401);
+    const unknownUser = await request
+      .post("/login")
+      .query({ Username: "nobody", Password: "wrong" })
+      .expect(401);
+    assert.equal(wrongPassword.body.detail, unknownUser.body.detail);
+  });
+
+  it("requires a username and a password", async () => {
+    const res = await request
+      .post("/login")
+      .query({ Username: "testuser" })
+      .expect(422);
+    assert.deepEqual(
+      res.body.errors.map((error) => error.field),
+      ["Password"]
+    );
+  });
+
+  it("locks the account after five failures in a row", async () => {
+    const user = await createUser();
+    for (let i = 0; i < 5; i++) {
+      await request
+        .post("/login")
+        .query({ Username: user.Username, Password: "wrong" })
+        .expect(401);
+    }
+    await request
+      .post("/login")
+      .query({ Username: user.Username, Password: user.Password })
+      .expect(429);
+  });
+
+  it("records the attempts in the login history", async () => {
+    const user = await createUser();
+    await request
+      .post("/login")
+      .query({ Username: user.Username, Password: "wrong" })
+      .expect(401);
+    const { token } = await login(user);
+
+    const res = await request
+      .get("/users/testuser/logins")
+      .set("Authorization", "Bearer " + token)
+      .expect(200);
+    assert.equal(res.body.total, 2);
+    assert.deepEqual(
+      res.body.data.map((event) => event.Success),
+      [true, false]
+    );
+  });
+});
+
+describe("JWT authentication", () => {
+  const [key] = config.jwt.keys;
+
+  it("rejects requests without a token", async () => {
+    await createUser();
+    const res = await request.get("/users/testuser").expect(401);
+    assert.equal(res.body.type, "/problems/unauthorized");
+  });
+
+  it("rejects malformed tokens", async () => {
+    await createUser();
+    await request
+      .get("/users/testuser")
+      .set("Authorization", "Bearer not.a.token")
+      .expect(401);
+  });
+
+  it("rejects tokens with a wrong signature", async () => {
+    const user = await createUser();
+    const token = jwt.sign(
+      { _id: user._id, Username: user.Username },
+      "x".repeat(40),
+      { keyid: key.id }
+    );
+    await request
+      .get("/users/testuser")
+      .set("Authorization", "Bearer " + token)
+      .expect(401);
+  });
+
+  it("rejects tokens signed with an unknown key", async () => {
+    const user = await createUser();
+    const token = jwt.sign({ _id: user._id }, key.secret, {
+      keyid: "retired",
+    });
+    await request
+      .get("/users/testuser")
+      .set("Authorization", "Bearer " + token)
+      .expect(401);
+  });
+
+  it("rejects expired tokens", async () => {
+    const user = await createUser();
+    const token = jwt.sign(
+      { _id: user._id, exp: Math.floor(Date.now() / 1000) - 60 },
+      key.secret,
+      { keyid: key.id }
+    );
+    await request
+      .get("/users/testuser")
+      .set("Authorization", "Bearer " + token)
+      .expect(401);
+  });
+
+  it("rejects tokens of deleted users", async () => {
+    const { auth } = await createLoggedInUser();
+    await request.delete("/users/testuser").set("Authorization", auth);
+    await request.get("/users/testuser").set("Authorization", auth).expect(401);
+  });
+});
+
+describe("POST /token/refresh", () => {
+  it("issues new tokens and accepts each refresh token once", async () => {
+    const { refreshToken } = await createLoggedInUser();
+    const res = await request
+      .post("/token/refresh")
+      .send({ refreshToken })
+      .expect(200);
+    assert.notEqual(res.body.refreshToken, refreshToken);
+
+    await request
+      .post("/users/testuser/movies/" + "0".repeat(24))
+      .set("Authorization", "Bearer " + res.body.token)
+      .expect(200);
+    await request.post("/token/refresh").send({ refreshToken }).expect(401);
+  });
+
+  it("revokes the whole family when a used token is replayed", async () => {
+    const { refreshToken } = await createLoggedInUser();
+    const first = await request
+      .post("/token/refresh")
+      .send({ refreshToken })
+      .expect(200);
+    await request.post("/token/refresh").send({ refreshToken }).expect(401);
+    await request
+      .post("/token/refresh")
+      .send({ refreshToken: first.body.refreshToken })
+      .expect(401);
+  });
+
+  it("lets only one of two simultaneous refreshes with a token succeed", async () => {
+    const { refreshToken } = await createLoggedInUser();
+    const responses = await Promise.all([
+      request.post("/token/refresh").send({ refreshToken }),
+      request.post("/token/refresh").send({ refreshToken }),
+    ]);
+    assert.deepEqual(responses.map((res) => res.status).sort(), [200, 401]);
+    // the loser counts as reuse, so the winner's token is revoked too
+    const winner = responses.find((res) => res.status === 200);
+    await request
+      .post("/token/refresh")
+      .send({ refreshToken: winner.body.refreshToken })
+      .expect(401);
+  });
+
+  it("rejects unknown tokens", async () => {
+    await request
+      .post("/token/refresh")
+      .send({ refreshToken: "unknown" })
+      .expect(401);
+    await request.post("/token/refresh").send({}).expect(422);
+  });
+});
+
+describe("POST /logout", () => {
+  it("revokes the refresh token", async () => {
+    const { refreshToken } = await createLoggedInUser();
+    await request.post("/logout").send({ refreshToken }).expect(200);
+    await request.post("/token/refresh").send({ refreshToken }).expect(401);
+  });
+
+  it("requires a refresh token", async () => {
+    const res = await request.post("/logout").send({}).expect(422);
+    assert.equal(res.body.errors[0].field, "refreshToken");
+  });
+});
+
+describe("POST /logout/all", () => {
+  it("revokes all refresh tokens and the access tokens issued before", async () => {
+    const user = await createUser();
+    const first = await login(user);
+    const second = await login(user);
+    // access tokens carry their issue time in seconds
+    await wait(1100);
+
+    await request
+      .post("/logout/all")
+      .set("Authorization", "Bearer " + first.token)
+      .expect(200);
+    await request
+      .post("/token/refresh")
+      .send({ refreshToken: second.refreshToken })
+      .expect(401);
+    await request
+      .get("/users/testuser")
+      .set("Authorization", "Bearer " + second.token)
+      .expect(401);
+  });
+
+  it("requires authentication", async () => {
+    await request.post("/logout/all").expect(401);
+  });
+});
+
+describe("email verification", () => {
+  it("verifies the address with the token sent on signup", async () => {
+    const { auth } = await createLoggedInUser();
+    assert.equal(mails.length, 1);
+    assert.equal(mails[0].to, "testuser@example.com");
+
+    await request
+      .post("/email/verify")
+      .send({ token: mailedToken() })
+      .expect(200);
+    const res = await request
+      .get("/users/testuser")
+      .set("Authorization", auth)
+      .expect(200);
+    assert.equal(res.body.EmailVerified, true);
+
+    // tokens can only be used once
+    await request
+      .post("/email/verify")
+      .send({ token: mailedToken() })
+      .expect(400);
+  });
+
+  it("rejects invalid tokens", async () => {
+    await request.post("/email/verify").send({ token: "invalid" }).expect(400);
+    await request.post("/email/verify").send({}).expect(422);
+  });
+
+  it("resends the email until the address is verified", async () => {
+    const { auth } = await createLoggedInUser();
+    await request
+      .post("/email/verify/resend")
+      .set("Authorization", auth)
+      .expect(200);
+    assert.equal(mails.length, 2);
+
+    await request
+      .post("/email/verify")
+      .send({ token: mailedToken() })
+      .expect(200);
+    await request
+      .post("/email/verify/resend")
+      .set("Authorization", auth)
+      .expect(409);
+  });
+});
+
+describe("password reset", () => {
+  it("sets a new password with the emailed token", async () => {
+    const user = await createUser();
+    const { refreshToken } = await login(user);
+
+    await request
+      .post("/password/forgot")
+      .send({ Email: user.Email })
+      .expect(200);
+    await waitFor(() => /reset-password\?token=/.test(mails.at(-1).text));
+
+    await request
+      .post("/password/reset")
+      .send({ token: mailedToken(), Password: "new password" })
+      .expect(200);
+    await login({ Username: user.Username, Password: "new password" });
+    await request
+      .post("/login")
+      .query({ Username: user.Username, Password: user.Password })
+      .expect(401);
+    await request.post("/token/refresh").send({ refreshToken }).expect(401);
+  });
+
+  it("answers the same for unknown addresses without sending mail", async () => {
+    const user = await createUser();
+    mails.length = 0;
+    const known = await request
+      .post("/password/forgot")
+      .send({ Email: user.Email })
+      .expect(200);
+    const unknown = await request
+      .post("/password/forgot")
+      .send({ Email: "nobody@example.com" })
+      .expect(200);
+    assert.equal(known.text, unknown.text);
+    await waitFor(() => mails.length === 1);
+    assert.equal(mails.length, 1);
+  });
+
+  it("does not accept links sent before the account was deleted", async () => {
+    const user = await createUser({
+      Username: "deleteduser",
+      Email: "deleted@example.com",
+    });
+    const { token } = await login(user);
+    await request
+      .post("/password/forgot")
+      .send({ Email: user.Email })
+      .expect(200);
+    await waitFor(() => /reset-password\?token=/.test(mails.at(-1).text));
+    await request
+      .delete("/users/deleteduser")
+      .set("Authorization", "Bearer " + token)
+      .expect(200);
+
+    await request
+      .post("/password/reset")
+      .send({ token: mailedToken(), Password: "new password" })
+      .expect(400);
+    await request
+      .post("/users/deleteduser/restore")
+      .send({ Password: user.Password })
+      .expect(200);
+  });
+
+  it("lifts a lockout after failed logins", async () => {
+    // an address of its own, as reset emails are limited per address
+    const user = await createUser({
+      Username: "lockeduser",
+      Email: "locked@example.com",
+    });
+    for (let i = 0; i < 5; i++) {
+      await request
+        .post("/login")
+        .query({ Username: user.Username, Password: "wrong" })
+        .expect(401);
+    }
+    await request
+      .post("/login")
+      .query({ Username: user.Username, Password: user.Password })
+      .expect(429);
+
+    await request
+      .post("/password/forgot")
+      .send({ Email: user.Email })
+      .expect(200);
+    await waitFor(() => /reset-password\?token=/.test(mails.at(-1).text));
+    await request
+      .post("/password/reset")
+      .send({ token: mailedToken(), Password: "new password" })
+      .expect(200);
+    await login({ Username: user.Username, Password: "new password" });
+  });
+
+  it("limits the reset emails per address", async () => {
+    for (let i = 0; i < 3; i++) {
+      await request
+        .post("/password/forgot")
+        .send({ Email: "flood@example.com" })
+        .expect(200);
+    }
+    await request
+      .post("/password/forgot")
+      .send({ Email: "flood@example.com" })
+      .expect(429);
+    // other addresses are not affected
+    await request
+      .post("/password/forgot")
+      .send({ Email: "nobody@example.com" })
+      .expect(200);
+  });
+
+  it("validates the request", async () => {
+    await request
+      .post("/password/forgot")
+      .send({ Email: "not an email" })
+      .expect(422);
+    await request
+      .post("/password/reset")
+      .send({ token: "invalid", Password: "new password" })
+      .expect(400);
+    const res = await request
+      .post("/password/reset")
+      .send({ token: "invalid" })
+      .expect(422);
+    assert.deepEqual(
+      res.body.errors.map((error) => error.field),
+      ["Password"]
+    );
+  });
+});
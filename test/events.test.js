@@ -0,0 +1,153 @@
+const { describe, it, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const {
+  request,
+  waitFor,
+  setupDatabase,
+  createLoggedInUser,
+  createLoggedInAdmin,
+  createCatalog,
+} = require("./helpers");
+// after the helpers, which set up the configuration
+const app = require("../app");
+
+setupDatabase();
+
+// supertest waits for the end of the response, so the streams are read from a server of their own
+const server = http.createServer(app);
+const listening = new Promise((resolve) =>
+  server.listen(0, "127.0.0.1", resolve)
+);
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+/**
+ * Opens an event stream and collects its events.
+ * @param {Object} headers - Request headers, e.g. Authorization
+ * @param {string} [path] - The path with the query string
+ * @returns {Promise<Object>} `{ events, close }`, where `events` fills up with `{ id, event, data }` as they arrive
+ */
+let openStream = async (headers, path = "/events") => {
+  await listening;
+  return new Promise((resolve, reject) => {
+    const req = http.get(
+      { port: server.address().port, path, headers },
+      (res) => {
+        assert.equal(res.statusCode, 200);
+        assert.match(res.headers["content-type"], /^text\/event-stream/);
+        const stream = { events: [], close: () => req.destroy() };
+        let buffer = "";
+        res.setEncoding("utf8");
+        res.on("data", (chunk) => {
+          const blocks = (buffer + chunk).split("\n\n");
+          buffer = blocks.pop();
+          blocks.forEach((block) => {
+            let event = {};
+            block.split("\n").forEach((line) => {
+              const [field, ...value] = line.split(": ");
+              if (["id", "event", "data"].includes(field)) {
+                event[field] = value.join(": ");
+              }
+            });
+            if (event.event) {
+              event.data = JSON.parse(event.data);
+              stream.events.push(event);
+            }
+          });
+        });
+        resolve(stream);
+      }
+    );
+    req.on("error", reject);
+  });
+};
+
+// the types of the events received so far, without the ready event
+let eventTypes = (stream) =>
+  stream.events.map((event) => event.event).filter((type) => type !== "ready");
+
+describe("GET /events", () => {
+  it("requires a valid access token", async () => {
+    await request.get("/events").expect(401);
+    await request.get("/events?access_token=not-a-token").expect(422);
+  });
+
+  it("pushes favorites changes to the user's streams only", async () => {
+    const { movies } = await createCatalog();
+    const { auth } = await createLoggedInUser();
+    const other = await createLoggedInUser({
+      Username: "otheruser",
+      Email: "otheruser@example.com",
+    });
+    const stream = await openStream({ Authorization: auth });
+    // as sent by EventSource, which cannot set headers
+    const streamOfOther = await openStream(
+      {},
+      "/events?access_token=" + other.token
+    );
+    await waitFor(() => stream.events.length && streamOfOther.events.length);
+
+    const movieId = movies.Goodfellas._id.toString();
+    await request
+      .post("/users/testuser/movies/" + movieId)
+      .set("Authorization", auth)
+      .expect(200);
+    await request
+      .delete("/users/testuser/movies/" + movieId)
+      .set("Authorization", auth)
+      .expect(200);
+
+    await waitFor(() => eventTypes(stream).length === 2);
+    assert.deepEqual(eventTypes(stream), [
+      "favorites.changed",
+      "favorites.changed",
+    ]);
+    assert.equal(stream.events[1].data.added, movieId);
+    assert.deepEqual(stream.events[1].data.FavoriteMovies, [movieId]);
+    assert.equal(stream.events[2].data.removed, movieId);
+    assert.deepEqual(eventTypes(streamOfOther), []);
+    stream.close();
+    streamOfOther.close();
+  });
+
+  it("pushes catalog changes and replays missed events", async () => {
+    const admin = await createLoggedInAdmin();
+    const { auth } = await createLoggedInUser();
+    let stream = await openStream({ Authorization: auth });
+    await waitFor(() => stream.events.length);
+    const readyId = stream.events[0].id;
+    stream.close();
+
+    const res = await request
+      .post("/movies")
+      .set("Authorization", admin.auth)
+      .send({ Title: "Heat", Year: 1995, Description: "A heist goes wrong." })
+      .expect(201);
+    await request
+      .patch("/movies/" + res.body._id)
+      .set("Authorization", admin.auth)
+      .send({ Runtime: 170 })
+      .expect(200);
+
+    stream = await openStream({
+      Authorization: auth,
+      "Last-Event-ID": readyId,
+    });
+    await waitFor(() => stream.events.some((event) => event.event === "ready"));
+    assert.deepEqual(eventTypes(stream), ["movie.created", "movie.updated"]);
+    assert.equal(stream.events[1].data.Runtime, 170);
+    stream.close();
+
+    // IDs of another process or a restart cannot be replayed
+    stream = await openStream({
+      Authorization: auth,
+      "Last-Event-ID": "unknown-1",
+    });
+    await waitFor(() => stream.events.some((event) => event.event === "ready"));
+    assert.deepEqual(eventTypes(stream), ["resync"]);
+    stream.close();
+  });
+});
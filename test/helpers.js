@@ -0,0 +1,205 @@
+/**
+ * @file test/helpers.js
+ * @description Shared setup for the integration tests. Each test file runs the app in-process against its own
+ * MongoDB started by mongodb-memory-server, and collects the emails the app sends instead of delivering them.
+ * The database is emptied before every test.
+ */
+
+// config.js reads the environment when it is first loaded, so the settings have to be in place before the app is
+// required. The connection string is a placeholder: the tests connect to the in-memory server themselves.
+Object.assign(process.env, {
+  CONNECTION_URI: "mongodb://127.0.0.1:27017/moviebase-test",
+  JWT_KEYS: "test:" + "0123456789abcdef".repeat(3),
+  LOG_LEVEL: "silent",
+  BCRYPT_COST: "4",
+  MAIL_TRANSPORT: "console",
+  CATALOG_CACHE_TTL: "0",
+  LOGIN_DELAY_AFTER: "1000",
+  LOGIN_LIMIT_PER_IP: "10000",
+  LOGIN_LIMIT_PER_USERNAME: "10000",
+  SIGNUP_LIMIT_PER_HOUR: "10000",
+  RESET_LIMIT_PER_IP: "10000",
+});
+
+const { before, after, beforeEach } = require("node:test");
+const mongoose = require("mongoose");
+const supertest = require("supertest");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+const app = require("../app");
+const Models = require("../models.js");
+const { setTransport } = require("../mailer");
+
+const request = supertest(app);
+
+/**
+ * @constant {Object[]} mails
+ * @description The emails sent since the current test started.
+ */
+const mails = [];
+
+/**
+ * Waits until a condition is met, e.g. for an email the app sends after it has answered.
+ * @param {function} condition - Returns true when the wait is over
+ * @param {number} [timeout=2000] - Milliseconds after which the wait fails
+ */
+let waitFor = async (condition, timeout = 2000) => {
+  const started = Date.now();
+  while (!condition()) {
+    if (Date.now() - started > timeout) {
+      throw new Error("Timed out waiting for " + condition);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+/**
+ * Registers the hooks that start the database before the tests of the file, empty it before every test and stop it
+ * afterwards. Call it once at the top of every test file. If MongoDB cannot be started, every test fails with the
+ * reason instead of being cancelled.
+ */
+let setupDatabase = () => {
+  let mongod;
+  let startError;
+
+  before(async () => {
+    try {
+      mongod = await MongoMemoryServer.create();
+    } catch (err) {
+      startError = new Error(
+        "Could not start MongoDB for the tests. Without internet access, set MONGOMS_SYSTEM_BINARY to an installed" +
+          " mongod, or MONGOMS_DOWNLOAD_DIR to a directory holding a downloaded one (see README.md).\n" +
+          err.message
+      );
+      return;
+    }
+    await mongoose.connect(mongod.getUri());
+    setTransport({ sendMail: async (message) => mails.push(message) });
+  });
+
+  beforeEach(async () => {
+    if (startError) throw startError;
+    mails.length = 0;
+    // deleteMany instead of dropping the database, so the catalog cache is invalidated too
+    await Promise.all(
+      Object.values(mongoose.models).map((Model) => Model.deleteMany({}))
+    );
+  });
+
+  after(async () => {
+    await mongoose.disconnect();
+    if (mongod) await mongod.stop();
+  });
+};
+
+/**
+ * Signs up a user through the API and waits for the verification email.
+ * @param {Object} [fields] - Fields overriding the defaults
+ * @returns {Promise<Object>} The user as returned by the API, plus the `Password` used
+ */
+let createUser = async (fields = {}) => {
+  const user = {
+    Username: "testuser",
+    Password: "secret password",
+    Email: "testuser@example.com",
+    ...fields,
+  };
+  const res = await request.post("/users").send(user).expect(201);
+  await waitFor(() => mails.some((mail) => mail.to === user.Email));
+  return { ...res.body, Password: user.Password };
+};
+
+/**
+ * Logs a user in.
+ * @param {Object} user - `{ Username, Password }`
+ * @returns {Promise<Object>} `{ user, token, refreshToken }`
+ */
+let login = async ({ Username, Password }) => {
+  const res = await request
+    .post("/login")
+    .query({ Username, Password })
+    .expect(200);
+  return res.body;
+};
+
+/**
+ * Signs up and logs in a user.
+ * @param {Object} [fields] - Fields overriding the defaults of createUser
+ * @returns {Promise<Object>} `{ user, token, refreshToken, auth }`, where `auth` is the Authorization header value
+ */
+let createLoggedInUser = async (fields) => {
+  const session = await login(await createUser(fields));
+  return { ...session, auth: "Bearer " + session.token };
+};
+
+/**
+ * Creates an admin and logs them in.
+ * @returns {Promise<Object>} As createLoggedInUser
+ */
+let createLoggedInAdmin = async () => {
+  const user = await createUser({
+    Username: "adminuser",
+    Email: "admin@example.com",
+  });
+  await Models.User.updateOne({ _id: user._id }, { $set: { Role: "admin" } });
+  const session = await login(user);
+  return { ...session, auth: "Bearer " + session.token };
+};
+
+/**
+ * Creates a small catalog: two genres, two directors and three movies.
+ * @returns {Promise<Object>} `{ genres, directors, movies }`, keyed by name and title
+ */
+let createCatalog = async () => {
+  const [drama, crime] = await Models.Genre.create([
+    { Name: "Drama", Description: "Serious stories" },
+    { Name: "Crime", Description: "Stories about crime" },
+  ]);
+  const [coppola, scorsese] = await Models.Director.create([
+    { Name: "Francis Ford Coppola", Bio: "American director", BirthYear: 1939 },
+    { Name: "Martin Scorsese", Bio: "American director", BirthYear: 1942 },
+  ]);
+  const movies = await Models.Movie.create([
+    {
+      Title: "The Godfather",
+      ReleaseDate: "1972-03-24",
+      Description: "The aging patriarch of a crime dynasty hands over.",
+      Genres: [crime._id, drama._id],
+      Directors: [coppola._id],
+      Cast: [{ Actor: "Al Pacino", Character: "Michael Corleone" }],
+      Featured: true,
+    },
+    {
+      Title: "Goodfellas",
+      ReleaseDate: "1990-09-19",
+      Description: "The rise and fall of a mob associate.",
+      Genres: [crime._id],
+      Directors: [scorsese._id],
+      Cast: [{ Actor: "Robert De Niro", Character: "James Conway" }],
+    },
+    {
+      Title: "The Conversation",
+      ReleaseDate: "1974-04-07",
+      Description: "A surveillance expert has a crisis of conscience.",
+      Genres: [drama._id],
+      Directors: [coppola._id],
+      Cast: [{ Actor: "Gene Hackman", Character: "Harry Caul" }],
+    },
+  ]);
+  return {
+    genres: { Drama: drama, Crime: crime },
+    directors: { coppola, scorsese },
+    movies: Object.fromEntries(movies.map((movie) => [movie.Title, movie])),
+  };
+};
+
+module.exports = {
+  request,
+  mails,
+  waitFor,
+  setupDatabase,
+  createUser,
+  login,
+  createLoggedInUser,
+  createLoggedInAdmin,
+  createCatalog,
+};
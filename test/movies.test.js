@@ -0,0 +1,571 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  request,
+  setupDatabase,
+  createLoggedInUser,
+  createLoggedInAdmin,
+  createCatalog,
+} = require("./helpers");
+
+setupDatabase();
+
+let auth;
+let catalog;
+
+beforeEach(async () => {
+  ({ auth } = await createLoggedInUser());
+  catalog = await createCatalog();
+});
+
+describe("GET /movies", () => {
+  it("returns a page of movies with their genres and directors", async () => {
+    const res = await request
+      .get("/movies")
+      .query({ sort: "Year", limit: 2 })
+      .set("Authorization", auth)
+      .expect(200);
+    assert.equal(res.body.total, 3);
+    assert.equal(res.body.pages, 2);
+    assert.deepEqual(
+      res.body.data.map((movie) => movie.Title),
+      ["The Godfather", "The Conversation"]
+    );
+    assert.deepEqual(
+      res.body.data[0].Genres.map((genre) => genre.Name),
+      ["Crime", "Drama"]
+    );
+    assert.ok(res.body.links.next);
+    // lists can change without any date moving forward, so they rely on the ETag
+    assert.ok(res.headers.etag);
+    assert.equal(res.headers["last-modified"], undefined);
+  });
+
+  it("filters the movies", async () => {
+    let res = await request
+      .get("/movies")
+      .query({ director: "Francis Ford Coppola", genre: "Drama" })
+      .set("Authorization", auth)
+      .expect(200);
+    assert.deepEqual(res.body.data.map((movie) => movie.Title).sort(), [
+      "The Conversation",
+      "The Godfather",
+    ]);
+
+    res = await request
+      .get("/movies")
+      .query({ actor: "Robert De Niro" })
+      .set("Authorization", auth)
+      .expect(200);
+    assert.deepEqual(
+      res.body.data.map((movie) => movie.Title),
+      ["Goodfellas"]
+    );
+  });
+
+  it("sorts by the joined directors", async () => {
+    const res = await request
+      .get("/movies")
+      .query({ sort: "-Director,Year" })
+      .set("Authorization", auth)
+      .expect(200);
+    assert.deepEqual(
+      res.body.data.map((movie) => movie.Title),
+      ["Goodfellas", "The Godfather", "The Conversation"]
+    );
+    assert.equal(res.body.data[0].Directors[0].Name, "Martin Scorsese");
+  });
+
+  it("validates the query", async () => {
+    const res = await request
+      .get("/movies")
+      .query({ sort: "Budget" })
+      .set("Authorization", auth)
+      .expect(422);
+    assert.equal(res.body.errors[0].field, "sort");
+  });
+
+  it("requires authentication", async () => {
+    await request.get("/movies").expect(401);
+  });
+});
+
+describe("GET /movies/search", () => {
+  it("finds movies by words of their fields", async () => {
+    const res = await request
+      .get("/movies/search")
+      .query({ q: "godfathr" })
+      .set("Authorization", auth)
+      .expect(200);
+    assert.equal(res.body.data[0].Title, "The Godfather");
+    assert.ok(res.body.data[0].score > 0);
+  });
+
+  it("finds movies by their genres and directors", async () => {
+    const res = await request
+      .get("/movies/search")
+      .query({ q: "scorsese" })
+      .set("Authorization", auth)
+      .expect(200);
+    assert.deepEqual(
+      res.body.data.map((movie) => movie.Title),
+      ["Goodfellas"]
+    );
+    assert.equal(res.body.data[0].SearchWords, undefined);
+  });
+
+  it("finds movies by their updated fields", async () => {
+    const admin = await createLoggedInAdmin();
+    await request
+      .patch("/movies/" + catalog.movies.Goodfellas._id)
+      .set("Authorization", admin.auth)
+      .send({ Description: "Wiseguys in New York." })
+      .expect(200);
+    const res = await request
+      .get("/movies/search")
+      .query({ q: "wiseguys" })
+      .set("Authorization", auth)
+      .expect(200);
+    assert.equal(res.body.total, 1);
+    assert.equal(res.body.data[0].Title, "Goodfellas");
+  });
+
+  it("requires a search text", async () => {
+    await request.get("/movies/search").set("Authorization", auth).expect(422);
+  });
+});
+
+describe("GET /movies/:Title", () => {
+  it("returns the movie", async () => {
+    const res = await request
+      .get("/movies/Goodfellas")
+      .set("Authorization", auth)
+      .expect(200);
+    assert.equal(res.body.Year, 1990);
+    assert.equal(res.body.Directors[0].Name, "Martin Scorsese");
+  });
+
+  it("answers unknown titles with 404", async () => {
+    const res = await request
+      .get("/movies/Unknown")
+      .set("Authorization", auth)
+      .expect(404);
+    assert.equal(res.body.detail, "Unknown was not found");
+    assert.match(res.headers["content-type"], /^application\/problem\+json/);
+    assert.equal(res.headers["cache-control"], undefined);
+  });
+
+  it("answers conditional requests with 304", async () => {
+    const res = await request
+      .get("/movies/Goodfellas")
+      .set("Authorization", auth)
+      .expect(200);
+    await request
+      .get("/movies/Goodfellas")
+      .set("Authorization", auth)
+      .set("If-None-Match", res.headers.etag)
+      .expect(304);
+    await request
+      .get("/movies/Goodfellas")
+      .set("Authorization", auth)
+      .set("If-Modified-Since", res.headers["last-modified"])
+      .expect(304);
+  });
+});
+
+describe("genre and director lookups", () => {
+  it("returns a genre by name", async () => {
+    const res = await request
+      .get("/movies/genre/Crime")
+      .set("Authorization", auth)
+      .expect(200);
+    assert.equal(res.body.Description, "Stories about crime");
+    await request
+      .get("/movies/genre/Western")
+      .set("Authorization", auth)
+      .expect(404);
+  });
+
+  it("returns a director by name", async () => {
+    const res = await request
+      .get("/movies/directors/Martin Scorsese")
+      .set("Authorization", auth)
+      .expect(200);
+    assert.equal(res.body.BirthYear, 1942);
+    await request
+      .get("/movies/directors/Nobody")
+      .set("Authorization", auth)
+      .expect(404);
+  });
+
+  it("lists the movies of a genre", async () => {
+    const res = await request
+      .get("/genres/" + catalog.genres.Drama._id + "/movies")
+      .set("Authorization", auth)
+      .expect(200);
+    assert.equal(res.body.total, 2);
+  });
+});
+
+describe("movie administration", () => {
+  const movie = {
+    Title: "Apocalypse Now",
+    ReleaseDate: "1979-08-15",
+    Description: "A captain is sent up river.",
+  };
+
+  it("lets admins create, update and delete movies", async () => {
+    const admin = await createLoggedInAdmin();
+    let res = await request
+      .post("/movies")
+      .set("Authorization", admin.auth)
+      .send({ ...movie, Directors: [catalog.directors.coppola._id] })
+      .expect(201);
+    assert.equal(res.body.Year, 1979);
+    assert.equal(res.body.Directors[0].Name, "Francis Ford Coppola");
+    const id = res.body._id;
+
+    res = await request
+      .patch("/movies/" + id)
+      .set("Authorization", admin.auth)
+      .send({ Runtime: 147 })
+      .expect(200);
+    assert.equal(res.body.Runtime, 147);
+
+    await request
+      .delete("/movies/" + id)
+      .set("Authorization", admin.auth)
+      .expect(200);
+    await request
+      .get("/movies/Apocalypse Now")
+      .set("Authorization", auth)
+      .expect(404);
+  });
+
+  it("does not let other users change the catalog", async () => {
+    const id = catalog.movies["Goodfellas"]._id;
+    await request
+      .post("/movies")
+      .set("Authorization", auth)
+      .send(movie)
+      .expect(403);
+    await request
+      .patch("/movies/" + id)
+      .set("Authorization", auth)
+      .send({ Runtime: 146 })
+      .expect(403);
+    await request
+      .delete("/movies/" + id)
+      .set("Authorization", auth)
+      .expect(403);
+  });
+
+  it("validates new movies", async () => {
+    const admin = await createLoggedInAdmin();
+    const res = await request
+      .post("/movies")
+      .set("Authorization", admin.auth)
+      .send({ Title: "No description", Genres: ["not-an-id"] })
+      .expect(422);
+    assert.ok(res.body.errors.some((error) => error.field === "Description"));
+  });
+});
+
+describe("reviews", () => {
+  let createOtherUser = () =>
+    createLoggedInUser({
+      Username: "otheruser",
+      Email: "otheruser@example.com",
+    });
+
+  it("lets users review a movie once and updates its rating", async () => {
+    const other = await createOtherUser();
+    const path = "/movies/" + catalog.movies.Goodfellas._id + "/reviews";
+    await request
+      .post(path)
+      .set("Authorization", auth)
+      .send({ Rating: 8, Text: "A classic." })
+      .expect(201);
+    await request
+      .post(path)
+      .set("Authorization", auth)
+      .send({ Rating: 9 })
+      .expect(409);
+    await request
+      .post(path)
+      .set("Authorization", other.auth)
+      .send({ Rating: 6 })
+      .expect(201);
+
+    let res = await request.get(path).set("Authorization", auth).expect(200);
+    assert.equal(res.body.total, 2);
+    assert.equal(res.body.data[0].User.Username, "otheruser");
+    assert.equal(res.body.data[1].Text, "A classic.");
+    res = await request
+      .get("/movies/Goodfellas")
+      .set("Authorization", auth)
+      .expect(200);
+    assert.equal(res.body.AverageRating, 7);
+    assert.equal(res.body.ReviewCount, 2);
+  });
+
+  it("lets users only edit and delete their own reviews", async () => {
+    const other = await createOtherUser();
+    const path = "/movies/" + catalog.movies.Goodfellas._id + "/reviews";
+    const { _id } = (
+      await request
+        .post(path)
+        .set("Authorization", auth)
+        .send({ Rating: 8 })
+        .expect(201)
+    ).body;
+
+    await request
+      .put(path + "/" + _id)
+      .set("Authorization", other.auth)
+      .send({ Rating: 1 })
+      .expect(403);
+    await request
+      .delete(path + "/" + _id)
+      .set("Authorization", other.auth)
+      .expect(403);
+
+    let res = await request
+      .put(path + "/" + _id)
+      .set("Authorization", auth)
+      .send({ Rating: 9 })
+      .expect(200);
+    assert.equal(res.body.Rating, 9);
+    res = await request
+      .get("/movies/Goodfellas")
+      .set("Authorization", auth)
+      .expect(200);
+    assert.equal(res.body.AverageRating, 9);
+
+    await request
+      .delete(path + "/" + _id)
+      .set("Authorization", auth)
+      .expect(200);
+    await request
+      .delete(path + "/" + _id)
+      .set("Authorization", auth)
+      .expect(404);
+    res = await request
+      .get("/movies/Goodfellas")
+      .set("Authorization", auth)
+      .expect(200);
+    assert.equal(res.body.ReviewCount, 0);
+    assert.equal(res.body.AverageRating, undefined);
+  });
+
+  it("validates reviews", async () => {
+    const path = "/movies/" + catalog.movies.Goodfellas._id + "/reviews";
+    await request
+      .post(path)
+      .set("Authorization", auth)
+      .send({ Rating: 11 })
+      .expect(422);
+    await request
+      .post("/movies/" + catalog.genres.Crime._id + "/reviews")
+      .set("Authorization", auth)
+      .send({ Rating: 5 })
+      .expect(404);
+  });
+});
+
+describe("import and export", () => {
+  it("creates and updates movies and reports every row", async () => {
+    const admin = await createLoggedInAdmin();
+    const res = await request
+      .post("/movies/import")
+      .set("Authorization", admin.auth)
+      .send([
+        {
+          Title: "Heat",
+          ReleaseDate: "1995-12-15",
+          Description: "A heist goes wrong.",
+          Genres: ["Crime"],
+          Directors: ["Michael Mann"],
+        },
+        { Title: "Goodfellas", Year: 1990, Runtime: 146 },
+        { Year: 2000 },
+      ])
+      .expect(200);
+    assert.deepEqual(res.body.summary, {
+      created: 1,
+      updated: 1,
+      unchanged: 0,
+      failed: 1,
+    });
+    assert.deepEqual(res.body.newGenres, []);
+    assert.deepEqual(res.body.newDirectors, ["Michael Mann"]);
+    assert.deepEqual(res.body.rows[1].changes, ["Runtime"]);
+    assert.equal(res.body.rows[2].errors[0].field, "Title");
+
+    const heat = await request
+      .get("/movies/Heat")
+      .set("Authorization", auth)
+      .expect(200);
+    assert.equal(heat.body.Genres[0].Name, "Crime");
+    assert.equal(heat.body.Directors[0].Name, "Michael Mann");
+  });
+
+  it("imports CSV files and only reports on dry runs", async () => {
+    const admin = await createLoggedInAdmin();
+    const res = await request
+      .post("/movies/import")
+      .query({ dryRun: true })
+      .set("Authorization", admin.auth)
+      .set("Content-Type", "text/csv")
+      .send(
+        "Title,ReleaseDate,Description,Cast\n" +
+          'Heat,1995-12-15,"A heist, gone wrong.",Al Pacino (Vincent Hanna)'
+      )
+      .expect(200);
+    assert.equal(res.body.dryRun, true);
+    assert.equal(res.body.summary.created, 1);
+    await request.get("/movies/Heat").set("Authorization", auth).expect(404);
+  });
+
+  it("accepts JSON imports larger than other request bodies", async () => {
+    const admin = await createLoggedInAdmin();
+    const res = await request
+      .post("/movies/import")
+      .set("Authorization", admin.auth)
+      .send([
+        {
+          Title: "Heat",
+          ReleaseDate: "1995-12-15",
+          Description: "A heist goes wrong. ".repeat(10000),
+        },
+      ])
+      .expect(200);
+    assert.equal(res.body.summary.created, 1);
+  });
+
+  it("exports the catalog as JSON and CSV", async () => {
+    const admin = await createLoggedInAdmin();
+    let res = await request
+      .get("/movies/export")
+      .set("Authorization", admin.auth)
+      .expect(200);
+    assert.match(res.headers["content-disposition"], /movies\.json/);
+    assert.deepEqual(
+      res.body.map((movie) => movie.Title),
+      ["Goodfellas", "The Conversation", "The Godfather"]
+    );
+    assert.deepEqual(res.body[2].Genres, ["Crime", "Drama"]);
+
+    res = await request
+      .get("/movies/export")
+      .query({ format: "csv" })
+      .set("Authorization", admin.auth)
+      .expect(200);
+    assert.match(res.headers["content-type"], /^text\/csv/);
+    const [header, goodfellas] = res.text.split("\n");
+    assert.match(header, /^Title,Year,ReleaseDate,/);
+    assert.match(goodfellas, /^Goodfellas,1990,1990-09-19,/);
+    assert.match(goodfellas, /Robert De Niro \(James Conway\)/);
+  });
+
+  it("does not parse large bodies before authentication", async () => {
+    await request
+      .post("/movies/import")
+      .send([{ Title: "Heat", Description: "x".repeat(200 * 1024) }])
+      .expect(401);
+  });
+
+  it("is only for admins", async () => {
+    await request.get("/movies/export").set("Authorization", auth).expect(403);
+    await request
+      .post("/movies/import")
+      .set("Authorization", auth)
+      .send([])
+      .expect(403);
+  });
+});
+
+describe("genre and director administration", () => {
+  it("lets admins create, update and delete genres", async () => {
+    const admin = await createLoggedInAdmin();
+    let res = await request
+      .post("/genres")
+      .set("Authorization", admin.auth)
+      .send({ Name: "Western" })
+      .expect(201);
+    const path = "/genres/" + res.body._id;
+
+    res = await request
+      .put(path)
+      .set("Authorization", admin.auth)
+      .send({ Name: "Western", Description: "Cowboys and outlaws" })
+      .expect(200);
+    assert.equal(res.body.Description, "Cowboys and outlaws");
+
+    await request.delete(path).set("Authorization", admin.auth).expect(200);
+    await request.get(path).set("Authorization", auth).expect(404);
+  });
+
+  it("lets admins create, update and delete directors", async () => {
+    const admin = await createLoggedInAdmin();
+    let res = await request
+      .post("/directors")
+      .set("Authorization", admin.auth)
+      .send({ Name: "Michael Mann", BirthYear: 1943 })
+      .expect(201);
+    const path = "/directors/" + res.body._id;
+
+    // fields left out are cleared
+    res = await request
+      .put(path)
+      .set("Authorization", admin.auth)
+      .send({ Name: "Michael Mann", Bio: "American director" })
+      .expect(200);
+    assert.equal(res.body.Bio, "American director");
+    assert.equal(res.body.BirthYear, undefined);
+
+    await request.delete(path).set("Authorization", admin.auth).expect(200);
+    await request.delete(path).set("Authorization", admin.auth).expect(404);
+  });
+
+  it("refuses to delete genres and directors that movies use", async () => {
+    const admin = await createLoggedInAdmin();
+    let res = await request
+      .delete("/genres/" + catalog.genres.Drama._id)
+      .set("Authorization", admin.auth)
+      .expect(409);
+    assert.match(res.body.detail, /still used by 2 movie\(s\)/);
+    await request
+      .delete("/directors/" + catalog.directors.scorsese._id)
+      .set("Authorization", admin.auth)
+      .expect(409);
+    res = await request
+      .get("/genres/" + catalog.genres.Drama._id)
+      .set("Authorization", auth)
+      .expect(200);
+    assert.equal(res.body.Name, "Drama");
+  });
+
+  it("validates the fields and requires the admin role", async () => {
+    const admin = await createLoggedInAdmin();
+    await request
+      .post("/directors")
+      .set("Authorization", admin.auth)
+      .send({ Name: "Michael Mann", BirthYear: 1943, DeathYear: 1900 })
+      .expect(422);
+    await request
+      .post("/genres")
+      .set("Authorization", admin.auth)
+      .send({})
+      .expect(422);
+    await request
+      .post("/genres")
+      .set("Authorization", auth)
+      .send({ Name: "Western" })
+      .expect(403);
+    await request
+      .delete("/genres/" + catalog.genres.Drama._id)
+      .set("Authorization", auth)
+      .expect(403);
+  });
+});
@@ -0,0 +1,235 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  request,
+  setupDatabase,
+  createLoggedInUser,
+  createCatalog,
+} = require("./helpers");
+
+setupDatabase();
+
+// a follower and a user with a public profile, both logged in
+let createFollowPair = async () => {
+  const follower = await createLoggedInUser();
+  const followee = await createLoggedInUser({
+    Username: "otheruser",
+    Email: "otheruser@example.com",
+  });
+  await request
+    .patch("/users/otheruser")
+    .set("Authorization", followee.auth)
+    .send({ PublicProfile: true })
+    .expect(200);
+  return { follower, followee };
+};
+
+describe("Following", () => {
+  it("only finds and follows public profiles", async () => {
+    const follower = await createLoggedInUser();
+    const other = await createLoggedInUser({
+      Username: "otheruser",
+      Email: "otheruser@example.com",
+    });
+
+    await request
+      .get("/users/otheruser/profile")
+      .set("Authorization", follower.auth)
+      .expect(404);
+    await request
+      .post("/users/testuser/following/otheruser")
+      .set("Authorization", follower.auth)
+      .expect(404);
+
+    await request
+      .patch("/users/otheruser")
+      .set("Authorization", other.auth)
+      .send({ PublicProfile: true })
+      .expect(200);
+    const res = await request
+      .post("/users/testuser/following/otheruser")
+      .set("Authorization", follower.auth)
+      .expect(200);
+    assert.equal(res.body.Followee.Username, "otheruser");
+  });
+
+  it("lists follows on both sides and counts them on the profile", async () => {
+    const { follower, followee } = await createFollowPair();
+    await request
+      .post("/users/testuser/following/otheruser")
+      .set("Authorization", follower.auth)
+      .expect(200);
+    // following twice has no effect
+    await request
+      .post("/users/testuser/following/otheruser")
+      .set("Authorization", follower.auth)
+      .expect(200);
+
+    let res = await request
+      .get("/users/testuser/following")
+      .set("Authorization", follower.auth)
+      .expect(200);
+    assert.equal(res.body.total, 1);
+    assert.equal(res.body.data[0].Followee.Username, "otheruser");
+
+    res = await request
+      .get("/users/otheruser/followers")
+      .set("Authorization", followee.auth)
+      .expect(200);
+    assert.equal(res.body.data[0].Follower.Username, "testuser");
+
+    res = await request
+      .get("/users/otheruser/profile")
+      .set("Authorization", follower.auth)
+      .expect(200);
+    assert.equal(res.body.followers, 1);
+    assert.equal(res.body.followedByYou, true);
+    assert.equal(res.body.Email, undefined);
+
+    await request
+      .get("/users/otheruser/followers")
+      .set("Authorization", follower.auth)
+      .expect(403);
+  });
+
+  it("leaves deleted accounts out until they are restored", async () => {
+    const { follower, followee } = await createFollowPair();
+    await request
+      .post("/users/testuser/following/otheruser")
+      .set("Authorization", follower.auth)
+      .expect(200);
+    await request
+      .delete("/users/otheruser")
+      .set("Authorization", followee.auth)
+      .expect(200);
+
+    let res = await request
+      .get("/users/testuser/following")
+      .set("Authorization", follower.auth)
+      .expect(200);
+    assert.equal(res.body.total, 0);
+    res = await request
+      .get("/users/testuser/profile")
+      .set("Authorization", follower.auth)
+      .expect(200);
+    assert.equal(res.body.following, 0);
+
+    await request
+      .post("/users/otheruser/restore")
+      .send({ Password: "secret password" })
+      .expect(200);
+    res = await request
+      .get("/users/testuser/following")
+      .set("Authorization", follower.auth)
+      .expect(200);
+    assert.equal(res.body.data[0].Followee.Username, "otheruser");
+  });
+
+  it("unfollows and refuses to follow yourself", async () => {
+    const { follower } = await createFollowPair();
+    await request
+      .post("/users/testuser/following/testuser")
+      .set("Authorization", follower.auth)
+      .expect(400);
+
+    await request
+      .post("/users/testuser/following/otheruser")
+      .set("Authorization", follower.auth)
+      .expect(200);
+    await request
+      .delete("/users/testuser/following/otheruser")
+      .set("Authorization", follower.auth)
+      .expect(200);
+    await request
+      .delete("/users/testuser/following/otheruser")
+      .set("Authorization", follower.auth)
+      .expect(404);
+  });
+});
+
+describe("GET /feed", () => {
+  it("shows favorites, ratings and public lists of followed users", async () => {
+    const { movies } = await createCatalog();
+    const { follower, followee } = await createFollowPair();
+    await request
+      .post("/users/testuser/following/otheruser")
+      .set("Authorization", follower.auth)
+      .expect(200);
+
+    const godfather = movies["The Godfather"]._id;
+    await request
+      .post("/users/otheruser/movies/" + godfather)
+      .set("Authorization", followee.auth)
+      .expect(200);
+    await request
+      .post("/movies/" + movies.Goodfellas._id + "/reviews")
+      .set("Authorization", followee.auth)
+      .send({ Rating: 9 })
+      .expect(201);
+    await request
+      .post("/users/otheruser/lists")
+      .set("Authorization", followee.auth)
+      .send({ Name: "Mob movies", Public: true })
+      .expect(201);
+    await request
+      .post("/users/otheruser/lists")
+      .set("Authorization", followee.auth)
+      .send({ Name: "Secret" })
+      .expect(201);
+
+    const res = await request
+      .get("/feed")
+      .set("Authorization", follower.auth)
+      .expect(200);
+    assert.equal(res.body.total, 3);
+    assert.deepEqual(
+      res.body.data.map((activity) => activity.Kind),
+      ["list", "rating", "favorite"]
+    );
+    assert.equal(res.body.data[0].List.Name, "Mob movies");
+    assert.equal(res.body.data[1].Movie.Title, "Goodfellas");
+    assert.equal(res.body.data[1].Rating, 9);
+    assert.equal(res.body.data[2].User.Username, "otheruser");
+  });
+
+  it("drops undone actions and private profiles", async () => {
+    const { movies } = await createCatalog();
+    const { follower, followee } = await createFollowPair();
+    await request
+      .post("/users/testuser/following/otheruser")
+      .set("Authorization", follower.auth)
+      .expect(200);
+
+    const godfather = movies["The Godfather"]._id;
+    await request
+      .post("/users/otheruser/movies/" + godfather)
+      .set("Authorization", followee.auth)
+      .expect(200);
+    await request
+      .post("/users/otheruser/movies/" + movies.Goodfellas._id)
+      .set("Authorization", followee.auth)
+      .expect(200);
+    await request
+      .delete("/users/otheruser/movies/" + godfather)
+      .set("Authorization", followee.auth)
+      .expect(200);
+
+    let res = await request
+      .get("/feed")
+      .set("Authorization", follower.auth)
+      .expect(200);
+    assert.equal(res.body.total, 1);
+    assert.equal(res.body.data[0].Movie.Title, "Goodfellas");
+
+    await request
+      .patch("/users/otheruser")
+      .set("Authorization", followee.auth)
+      .send({ PublicProfile: false })
+      .expect(200);
+    res = await request
+      .get("/feed")
+      .set("Authorization", follower.auth)
+      .expect(200);
+    assert.equal(res.body.total, 0);
+  });
+});
@@ -0,0 +1,800 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  request,
+  mails,
+  waitFor,
+  setupDatabase,
+  createUser,
+  login,
+  createLoggedInUser,
+  createCatalog,
+} = require("./helpers");
+const { purgeDeletedAccounts } = require("../accounts");
+const { config } = require("../config");
+
+setupDatabase();
+
+// the fields of the validation errors of a 422 response
+let invalidFields = (res) => res.body.errors.map((error) => error.field);
+
+describe("POST /users", () => {
+  it("creates the user and sends a verification email", async () => {
+    const res = await request
+      .post("/users")
+      .send({
+        Username: "newuser",
+        Password: "secret password",
+        Email: "newuser@example.com",
+        Birthday: "1990-05-01",
+      })
+      .expect(201);
+    assert.equal(res.body.Username, "newuser");
+    assert.equal(res.body.EmailVerified, false);
+    assert.equal(res.body.Password, undefined);
+    await waitFor(() => mails.length === 1);
+    assert.equal(mails[0].to, "newuser@example.com");
+  });
+
+  it("validates the fields", async () => {
+    let res = await request
+      .post("/users")
+      .send({ Username: "abc", Password: "secret", Email: "a@example.com" })
+      .expect(422);
+    assert.deepEqual(invalidFields(res), ["Username"]);
+
+    res = await request
+      .post("/users")
+      .send({ Username: "bad name!", Password: "secret", Email: "a@b.com" })
+      .expect(422);
+    assert.deepEqual(invalidFields(res), ["Username"]);
+
+    res = await request
+      .post("/users")
+      .send({ Username: "validname", Email: "not an email" })
+      .expect(422);
+    assert.deepEqual(invalidFields(res).sort(), ["Email", "Password"]);
+  });
+
+  it("rejects taken usernames", async () => {
+    await createUser();
+    const res = await request
+      .post("/users")
+      .send({
+        Username: "testuser",
+        Password: "other password",
+        Email: "other@example.com",
+      })
+      .expect(409);
+    assert.equal(res.body.type, "/problems/conflict");
+  });
+});
+
+describe("GET /users/:Username", () => {
+  it("returns the user's own data", async () => {
+    const { auth } = await createLoggedInUser();
+    const res = await request
+      .get("/users/testuser")
+      .set("Authorization", auth)
+      .expect(200);
+    assert.equal(res.body.Email, "testuser@example.com");
+    assert.equal(res.body.Password, undefined);
+    assert.equal(res.body.FailedLoginAttempts, undefined);
+  });
+
+  it("returns only the fields asked for", async () => {
+    const { auth } = await createLoggedInUser();
+    const res = await request
+      .get("/users/testuser")
+      .query({ fields: "Username,Email" })
+      .set("Authorization", auth)
+      .expect(200);
+    assert.deepEqual(Object.keys(res.body).sort(), [
+      "Email",
+      "Username",
+      "_id",
+    ]);
+
+    await request
+      .get("/users/testuser")
+      .query({ fields: "Username,Password" })
+      .set("Authorization", auth)
+      .expect(422);
+  });
+
+  it("expands the favorites to movies", async () => {
+    const { auth } = await createLoggedInUser();
+    const { movies } = await createCatalog();
+    for (const title of ["Goodfellas", "The Godfather"]) {
+      await request
+        .post("/users/testuser/movies/" + movies[title]._id)
+        .set("Authorization", auth)
+        .expect(200);
+    }
+
+    const res = await request
+      .get("/users/testuser")
+      .query({ expand: "favorites", fields: "FavoriteMovies" })
+      .set("Authorization", auth)
+      .expect(200);
+    assert.deepEqual(
+      res.body.FavoriteMovies.map((movie) => movie.Title),
+      ["Goodfellas", "The Godfather"]
+    );
+    assert.equal(
+      res.body.FavoriteMovies[0].Directors[0].Name,
+      "Martin Scorsese"
+    );
+
+    await request
+      .get("/users/testuser")
+      .query({ expand: "reviews" })
+      .set("Authorization", auth)
+      .expect(422);
+  });
+
+  it("does not return other users' data", async () => {
+    const { auth } = await createLoggedInUser();
+    await createUser({ Username: "otheruser", Email: "other@example.com" });
+    await request
+      .get("/users/otheruser")
+      .set("Authorization", auth)
+      .expect(403);
+  });
+});
+
+describe("PUT /users/:Username", () => {
+  it("replaces the user data", async () => {
+    const { auth } = await createLoggedInUser();
+    const res = await request
+      .put("/users/testuser")
+      .set("Authorization", auth)
+      .send({
+        CurrentPassword: "secret password",
+        Username: "renameduser",
+        Password: "secret password",
+        Email: "renamed@example.com",
+      })
+      .expect(200);
+    assert.equal(res.body.user.Username, "renameduser");
+    assert.equal(res.body.user.EmailVerified, false);
+    assert.equal(res.body.user.Password, undefined);
+    // the password did not change, so the session goes on
+    assert.equal(res.body.refreshToken, undefined);
+    await request
+      .get("/users/renameduser")
+      .set("Authorization", "Bearer " + res.body.token)
+      .expect(200);
+    await login({ Username: "renameduser", Password: "secret password" });
+  });
+
+  it("keeps the current device logged in after a new password", async () => {
+    const { auth, refreshToken } = await createLoggedInUser();
+    const res = await request
+      .put("/users/testuser")
+      .set("Authorization", auth)
+      .send({
+        CurrentPassword: "secret password",
+        Username: "testuser",
+        Password: "new password",
+        Email: "testuser@example.com",
+      })
+      .expect(200);
+    await request
+      .get("/users/testuser")
+      .set("Authorization", "Bearer " + res.body.token)
+      .expect(200);
+    await request.post("/token/refresh").send({ refreshToken }).expect(401);
+    await request
+      .post("/token/refresh")
+      .send({ refreshToken: res.body.refreshToken })
+      .expect(200);
+  });
+
+  it("validates the fields and the permission", async () => {
+    const { auth } = await createLoggedInUser();
+    await createUser({ Username: "otheruser", Email: "other@example.com" });
+
+    const res = await request
+      .put("/users/testuser")
+      .set("Authorization", auth)
+      .send({ Username: "abc", Birthday: "someday" })
+      .expect(422);
+    assert.deepEqual(invalidFields(res).sort(), [
+      "Birthday",
+      "CurrentPassword",
+      "Email",
+      "Password",
+      "Username",
+    ]);
+
+    const changes = {
+      CurrentPassword: "secret password",
+      Username: "otheruser",
+      Password: "secret password",
+      Email: "testuser@example.com",
+    };
+    await request
+      .put("/users/otheruser")
+      .set("Authorization", auth)
+      .send(changes)
+      .expect(403);
+    await request
+      .put("/users/testuser")
+      .set("Authorization", auth)
+      .send(changes)
+      .expect(409);
+  });
+
+  it("requires the current password", async () => {
+    const { auth } = await createLoggedInUser();
+    const changes = {
+      Username: "testuser",
+      Password: "new password",
+      Email: "thief@example.com",
+    };
+    for (let i = 0; i < 5; i++) {
+      await request
+        .put("/users/testuser")
+        .set("Authorization", auth)
+        .send({ ...changes, CurrentPassword: "wrong" })
+        .expect(403);
+    }
+    await request
+      .put("/users/testuser")
+      .set("Authorization", auth)
+      .send({ ...changes, CurrentPassword: "secret password" })
+      .expect(429);
+    await request
+      .post("/login")
+      .query({ Username: "testuser", Password: "secret password" })
+      .expect(429);
+  });
+});
+
+describe("PATCH /users/:Username", () => {
+  it("changes only the fields sent and returns a new token", async () => {
+    const { auth } = await createLoggedInUser();
+    const res = await request
+      .patch("/users/testuser")
+      .set("Authorization", auth)
+      .send({ Birthday: "1985-12-24" })
+      .expect(200);
+    assert.equal(res.body.user.Email, "testuser@example.com");
+    assert.equal(res.body.user.Birthday, "1985-12-24T00:00:00.000Z");
+    assert.equal(typeof res.body.token, "string");
+  });
+
+  it("requires the current password to change the Email", async () => {
+    const { auth } = await createLoggedInUser();
+    let res = await request
+      .patch("/users/testuser")
+      .set("Authorization", auth)
+      .send({ Email: "thief@example.com" })
+      .expect(422);
+    assert.deepEqual(invalidFields(res), ["CurrentPassword"]);
+    await request
+      .patch("/users/testuser")
+      .set("Authorization", auth)
+      .send({ Email: "thief@example.com", CurrentPassword: "wrong" })
+      .expect(403);
+
+    res = await request
+      .patch("/users/testuser")
+      .set("Authorization", auth)
+      .send({ Email: "mine@example.com", CurrentPassword: "secret password" })
+      .expect(200);
+    assert.equal(res.body.user.Email, "mine@example.com");
+  });
+
+  it("does not change the password", async () => {
+    const { auth } = await createLoggedInUser();
+    const res = await request
+      .patch("/users/testuser")
+      .set("Authorization", auth)
+      .send({ Password: "new password" })
+      .expect(422);
+    assert.deepEqual(invalidFields(res), ["Password"]);
+  });
+
+  it("does not change other users", async () => {
+    const { auth } = await createLoggedInUser();
+    await createUser({ Username: "otheruser", Email: "other@example.com" });
+    await request
+      .patch("/users/otheruser")
+      .set("Authorization", auth)
+      .send({ Email: "mine@example.com", CurrentPassword: "secret password" })
+      .expect(403);
+  });
+});
+
+describe("PUT /users/:Username/password", () => {
+  it("changes the password and keeps the current device logged in", async () => {
+    const { auth, refreshToken } = await createLoggedInUser();
+    const res = await request
+      .put("/users/testuser/password")
+      .set("Authorization", auth)
+      .send({ CurrentPassword: "secret password", Password: "new password" })
+      .expect(200);
+    assert.equal(typeof res.body.token, "string");
+
+    await login({ Username: "testuser", Password: "new password" });
+    await request.post("/token/refresh").send({ refreshToken }).expect(401);
+    await request
+      .post("/token/refresh")
+      .send({ refreshToken: res.body.refreshToken })
+      .expect(200);
+  });
+
+  it("requires the current password", async () => {
+    const { auth } = await createLoggedInUser();
+    await request
+      .put("/users/testuser/password")
+      .set("Authorization", auth)
+      .send({ CurrentPassword: "wrong", Password: "new password" })
+      .expect(403);
+    await request
+      .put("/users/testuser/password")
+      .set("Authorization", auth)
+      .send({ Password: "new password" })
+      .expect(422);
+  });
+
+  it("locks the account after too many wrong current passwords", async () => {
+    const { auth } = await createLoggedInUser();
+    for (let i = 0; i < 5; i++) {
+      await request
+        .put("/users/testuser/password")
+        .set("Authorization", auth)
+        .send({ CurrentPassword: "wrong", Password: "new password" })
+        .expect(403);
+    }
+    await request
+      .put("/users/testuser/password")
+      .set("Authorization", auth)
+      .send({ CurrentPassword: "secret password", Password: "new password" })
+      .expect(429);
+    await request
+      .post("/login")
+      .query({ Username: "testuser", Password: "secret password" })
+      .expect(429);
+  });
+});
+
+describe("favorite movies", () => {
+  it("adds and removes favorites", async () => {
+    const { auth } = await createLoggedInUser();
+    const { movies } = await createCatalog();
+    const godfather = movies["The Godfather"]._id.toString();
+    const goodfellas = movies["Goodfellas"]._id.toString();
+
+    await request
+      .post("/users/testuser/movies/" + godfather)
+      .set("Authorization", auth)
+      .expect(200);
+    let res = await request
+      .post("/users/testuser/movies/" + goodfellas)
+      .set("Authorization", auth)
+      .expect(200);
+    assert.deepEqual(res.body.FavoriteMovies, [godfather, goodfellas]);
+
+    // adding a favorite twice keeps one entry
+    res = await request
+      .post("/users/testuser/movies/" + godfather)
+      .set("Authorization", auth)
+      .expect(200);
+    assert.equal(res.body.FavoriteMovies.length, 2);
+
+    res = await request
+      .delete("/users/testuser/movies/" + godfather)
+      .set("Authorization", auth)
+      .expect(200);
+    assert.deepEqual(res.body.FavoriteMovies, [goodfellas]);
+  });
+
+  it("does not change other users' favorites", async () => {
+    const { auth } = await createLoggedInUser();
+    await createUser({ Username: "otheruser", Email: "other@example.com" });
+    const { movies } = await createCatalog();
+    const movieId = movies["Goodfellas"]._id.toString();
+
+    await request
+      .post("/users/otheruser/movies/" + movieId)
+      .set("Authorization", auth)
+      .expect(403);
+    await request
+      .delete("/users/otheruser/movies/" + movieId)
+      .set("Authorization", auth)
+      .expect(403);
+  });
+
+  it("rejects invalid and unknown movie IDs", async () => {
+    const { auth } = await createLoggedInUser();
+    const res = await request
+      .post("/users/testuser/movies/not-an-id")
+      .set("Authorization", auth)
+      .expect(422);
+    assert.deepEqual(invalidFields(res), ["MovieID"]);
+    await request
+      .delete("/users/testuser/movies/not-an-id")
+      .set("Authorization", auth)
+      .expect(422);
+    await request
+      .post("/users/testuser/movies/" + "0".repeat(24))
+      .set("Authorization", auth)
+      .expect(404);
+  });
+});
+
+describe("DELETE /users/:Username", () => {
+  it("deletes the user and ends their sessions", async () => {
+    const { auth, refreshToken } = await createLoggedInUser();
+    const res = await request
+      .delete("/users/testuser")
+      .set("Authorization", auth)
+      .expect(200);
+    assert.match(res.text, /^testuser was deleted\. It can be restored until/);
+
+    const loginRes = await request
+      .post("/login")
+      .query({ Username: "testuser", Password: "secret password" })
+      .expect(403);
+    assert.match(loginRes.body.detail, /POST \/users\/testuser\/restore/);
+    await request.get("/users/testuser").set("Authorization", auth).expect(401);
+    await request.post("/token/refresh").send({ refreshToken }).expect(401);
+  });
+
+  it("hides the user's reviews and public lists until restored", async () => {
+    const { movies } = await createCatalog();
+    const { auth } = await createLoggedInUser();
+    const other = await createLoggedInUser({
+      Username: "otheruser",
+      Email: "otheruser@example.com",
+    });
+    const movieId = movies.Goodfellas._id;
+    await request
+      .post("/movies/" + movieId + "/reviews")
+      .set("Authorization", auth)
+      .send({ Rating: 8 })
+      .expect(201);
+    const { Slug } = (
+      await request
+        .post("/users/testuser/lists")
+        .set("Authorization", auth)
+        .send({ Name: "Mob movies", Public: true })
+        .expect(201)
+    ).body;
+
+    await request.delete("/users/testuser").set("Authorization", auth);
+    let res = await request
+      .get("/movies/" + movieId + "/reviews")
+      .set("Authorization", other.auth)
+      .expect(200);
+    assert.equal(res.body.total, 0);
+    res = await request
+      .get("/movies/" + movieId)
+      .set("Authorization", other.auth)
+      .expect(200);
+    assert.equal(res.body.ReviewCount, 0);
+    assert.equal(res.body.AverageRating, undefined);
+    await request.get("/lists/" + Slug).expect(404);
+
+    await request
+      .post("/users/testuser/restore")
+      .send({ Password: "secret password" })
+      .expect(200);
+    res = await request
+      .get("/movies/" + movieId + "/reviews")
+      .set("Authorization", other.auth)
+      .expect(200);
+    assert.equal(res.body.data[0].User.Username, "testuser");
+    res = await request
+      .get("/movies/" + movieId)
+      .set("Authorization", other.auth)
+      .expect(200);
+    assert.equal(res.body.AverageRating, 8);
+    await request.get("/lists/" + Slug).expect(200);
+  });
+
+  it("does not delete other users", async () => {
+    const { auth } = await createLoggedInUser();
+    await createUser({ Username: "otheruser", Email: "other@example.com" });
+    await request
+      .delete("/users/otheruser")
+      .set("Authorization", auth)
+      .expect(403);
+  });
+});
+
+describe("POST /users/:Username/restore", () => {
+  it("restores a deleted account and logs the user in", async () => {
+    const { auth } = await createLoggedInUser();
+    await request.delete("/users/testuser").set("Authorization", auth);
+
+    const res = await request
+      .post("/users/testuser/restore")
+      .send({ Password: "secret password" })
+      .expect(200);
+    assert.equal(res.body.user.Username, "testuser");
+    await request
+      .get("/users/testuser")
+      .set("Authorization", "Bearer " + res.body.token)
+      .expect(200);
+    await login({ Username: "testuser", Password: "secret password" });
+  });
+
+  it("requires the password", async () => {
+    const { auth } = await createLoggedInUser();
+    await request.delete("/users/testuser").set("Authorization", auth);
+    await request
+      .post("/users/testuser/restore")
+      .send({ Password: "wrong" })
+      .expect(401);
+    await request.post("/users/testuser/restore").send({}).expect(422);
+  });
+
+  it("only restores deleted accounts", async () => {
+    await createUser();
+    await request
+      .post("/users/testuser/restore")
+      .send({ Password: "secret password" })
+      .expect(409);
+  });
+
+  it("cannot restore purged accounts", async () => {
+    const { auth } = await createLoggedInUser();
+    await request.delete("/users/testuser").set("Authorization", auth);
+
+    // nothing to purge before the grace period ends
+    assert.equal(await purgeDeletedAccounts(), 0);
+    const afterGracePeriod = new Date(
+      Date.now() + (config.accountDeletionGraceDays + 1) * 24 * 60 * 60 * 1000
+    );
+    assert.equal(await purgeDeletedAccounts(afterGracePeriod), 1);
+
+    await request
+      .post("/users/testuser/restore")
+      .send({ Password: "secret password" })
+      .expect(401);
+    // the username is free again
+    await createUser();
+  });
+});
+
+describe("GET /users/:Username/export", () => {
+  it("returns the user's data without the password hash", async () => {
+    const { auth } = await createLoggedInUser();
+    const { movies } = await createCatalog();
+    const goodfellas = movies["Goodfellas"]._id.toString();
+    await request
+      .post("/users/testuser/movies/" + goodfellas)
+      .set("Authorization", auth);
+    await request
+      .post("/movies/" + goodfellas + "/reviews")
+      .set("Authorization", auth)
+      .send({ Rating: 9, Text: "Great" });
+
+    const res = await request
+      .get("/users/testuser/export")
+      .set("Authorization", auth)
+      .expect(200)
+      .expect(
+        "Content-Disposition",
+        /attachment; filename="testuser-export.json"/
+      );
+    assert.equal(res.body.profile.Username, "testuser");
+    assert.equal(res.body.profile.Password, undefined);
+    assert.deepEqual(
+      res.body.favorites.map((movie) => movie.Title),
+      ["Goodfellas"]
+    );
+    assert.equal(res.body.reviews[0].Movie.Title, "Goodfellas");
+    assert.equal(res.body.reviews[0].Rating, 9);
+    assert.equal(res.body.logins.length, 1);
+  });
+
+  it("does not export other users' data", async () => {
+    const { auth } = await createLoggedInUser();
+    await createUser({ Username: "otheruser", Email: "other@example.com" });
+    await request
+      .get("/users/otheruser/export")
+      .set("Authorization", auth)
+      .expect(403);
+  });
+});
+
+describe("lists", () => {
+  it("has a watchlist and a watched list from the start", async () => {
+    const { movies } = await createCatalog();
+    const { auth } = await createLoggedInUser();
+    let res = await request
+      .get("/users/testuser/lists")
+      .set("Authorization", auth)
+      .expect(200);
+    assert.deepEqual(res.body.map((list) => list.Kind).sort(), [
+      "watched",
+      "watchlist",
+    ]);
+
+    res = await request
+      .post("/users/testuser/lists/watched/movies/" + movies.Goodfellas._id)
+      .set("Authorization", auth)
+      .expect(200);
+    assert.equal(res.body.Items[0].Movie.Title, "Goodfellas");
+    assert.ok(res.body.Items[0].WatchedAt);
+    await request
+      .delete("/users/testuser/lists/watchlist")
+      .set("Authorization", auth)
+      .expect(400);
+  });
+
+  it("keeps the movies of a list in order", async () => {
+    const { movies } = await createCatalog();
+    const { auth } = await createLoggedInUser();
+    const godfather = movies["The Godfather"]._id.toString();
+    const goodfellas = movies.Goodfellas._id.toString();
+    let res = await request
+      .post("/users/testuser/lists")
+      .set("Authorization", auth)
+      .send({ Name: "Mob movies" })
+      .expect(201);
+    const path = "/users/testuser/lists/" + res.body._id;
+    let titles = (list) => list.Items.map((item) => item.Movie.Title);
+
+    await request
+      .post(path + "/movies/" + goodfellas)
+      .set("Authorization", auth)
+      .expect(200);
+    res = await request
+      .post(path + "/movies/" + godfather)
+      .set("Authorization", auth)
+      .send({ Position: 0 })
+      .expect(200);
+    assert.deepEqual(titles(res.body), ["The Godfather", "Goodfellas"]);
+
+    res = await request
+      .put(path + "/order")
+      .set("Authorization", auth)
+      .send({ Movies: [goodfellas, godfather] })
+      .expect(200);
+    assert.deepEqual(titles(res.body), ["Goodfellas", "The Godfather"]);
+    await request
+      .put(path + "/order")
+      .set("Authorization", auth)
+      .send({ Movies: [goodfellas] })
+      .expect(422);
+
+    res = await request
+      .delete(path + "/movies/" + goodfellas)
+      .set("Authorization", auth)
+      .expect(200);
+    assert.deepEqual(titles(res.body), ["The Godfather"]);
+    res = await request
+      .patch(path)
+      .set("Authorization", auth)
+      .send({ Name: "Coppola" })
+      .expect(200);
+    assert.equal(res.body.Name, "Coppola");
+
+    await request.delete(path).set("Authorization", auth).expect(200);
+    await request.get(path).set("Authorization", auth).expect(404);
+  });
+
+  it("does not show or change other users' lists", async () => {
+    const { auth } = await createLoggedInUser();
+    const other = await createLoggedInUser({
+      Username: "otheruser",
+      Email: "otheruser@example.com",
+    });
+    const res = await request
+      .post("/users/otheruser/lists")
+      .set("Authorization", other.auth)
+      .send({ Name: "Secret" })
+      .expect(201);
+
+    await request
+      .get("/users/otheruser/lists")
+      .set("Authorization", auth)
+      .expect(403);
+    await request
+      .get("/users/otheruser/lists/" + res.body._id)
+      .set("Authorization", auth)
+      .expect(403);
+    // the ID of another user's list is not found under one's own name
+    await request
+      .get("/users/testuser/lists/" + res.body._id)
+      .set("Authorization", auth)
+      .expect(404);
+  });
+});
+
+describe("GET /lists/:Slug", () => {
+  it("shares public lists without authentication", async () => {
+    const { movies } = await createCatalog();
+    const { auth } = await createLoggedInUser();
+    const list = (
+      await request
+        .post("/users/testuser/lists")
+        .set("Authorization", auth)
+        .send({ Name: "Mob movies" })
+        .expect(201)
+    ).body;
+    const path = "/users/testuser/lists/" + list._id;
+    await request
+      .post(path + "/movies/" + movies.Goodfellas._id)
+      .set("Authorization", auth)
+      .expect(200);
+    await request.get("/lists/" + list.Slug).expect(404);
+
+    await request
+      .patch(path)
+      .set("Authorization", auth)
+      .send({ Public: true })
+      .expect(200);
+    const res = await request.get("/lists/" + list.Slug).expect(200);
+    assert.equal(res.body.Name, "Mob movies");
+    assert.equal(res.body.User.Username, "testuser");
+    assert.equal(res.body.Items[0].Movie.Title, "Goodfellas");
+
+    await request
+      .patch(path)
+      .set("Authorization", auth)
+      .send({ Public: false })
+      .expect(200);
+    await request.get("/lists/" + list.Slug).expect(404);
+  });
+});
+
+describe("GET /users/:Username/recommendations", () => {
+  it("recommends movies like the favorites", async () => {
+    const { movies } = await createCatalog();
+    const { auth } = await createLoggedInUser();
+    await request
+      .post("/users/testuser/movies/" + movies["The Godfather"]._id)
+      .set("Authorization", auth)
+      .expect(200);
+
+    const res = await request
+      .get("/users/testuser/recommendations")
+      .set("Authorization", auth)
+      .expect(200);
+    // the same director and a shared genre come before a shared genre only
+    assert.deepEqual(
+      res.body.map((recommendation) => recommendation.movie.Title),
+      ["The Conversation", "Goodfellas"]
+    );
+    assert.match(res.body[0].reasons[0], /^Because you liked The Godfather/);
+  });
+
+  it("falls back to the highest rated movies", async () => {
+    const { movies } = await createCatalog();
+    const { auth } = await createLoggedInUser();
+    await request
+      .post("/movies/" + movies.Goodfellas._id + "/reviews")
+      .set("Authorization", auth)
+      .send({ Rating: 9 })
+      .expect(201);
+
+    const res = await request
+      .get("/users/testuser/recommendations")
+      .set("Authorization", auth)
+      .expect(200);
+    assert.equal(res.body.length, 1);
+    assert.equal(res.body[0].movie.Title, "Goodfellas");
+    assert.deepEqual(res.body[0].reasons, ["Highly rated by other users"]);
+  });
+
+  it("validates the limit and the permission", async () => {
+    const { auth } = await createLoggedInUser();
+    await createUser({ Username: "otheruser", Email: "other@example.com" });
+    await request
+      .get("/users/testuser/recommendations")
+      .query({ limit: 51 })
+      .set("Authorization", auth)
+      .expect(422);
+    await request
+      .get("/users/otheruser/recommendations")
+      .set("Authorization", auth)
+      .expect(403);
+  });
+});
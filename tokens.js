@@ -0,0 +1,62 @@
+/**
+ * @file tokens.js
+ * @description Generates the JWT access tokens and the refresh tokens handed out on login.
+ */
+
+const crypto = require("crypto"),
+  jwt = require("jsonwebtoken"),
+  uuid = require("uuid"),
+  Models = require("./models.js"),
+  { config } = require("./config");
+
+const refreshTokenLifetime = config.jwt.refreshTokenDays * 24 * 60 * 60 * 1000;
+
+const RefreshTokens = Models.RefreshToken;
+
+/**
+ * Signs a short lived access token for the user with the current signing key, named in the `kid` header.
+ * The token only holds the user's ID and username; everything else is loaded from the database on every request.
+ * @param {Object} user - The user document
+ * @returns {string}
+ */
+let generateJWTToken = (user) => {
+  const [signingKey] = config.jwt.keys;
+  return jwt.sign({ _id: user._id.toString() }, signingKey.secret, {
+    subject: user.Username, // Username encoded in the JWT
+    expiresIn: config.jwt.expiresIn, // Short lived, clients renew it with a refresh token
+    algorithm: "HS256", // Algorithm used to encode the values of the JWT
+    keyid: signingKey.id, // Tells the JWTStrategy which key to verify it with
+  });
+};
+
+/**
+ * Finds the secret a token was signed with, by the `kid` in its header.
+ * @param {string} token - The encoded JWT
+ * @returns {string|null} The secret, or null if the token names no known key
+ */
+let jwtSecretFor = (token) => {
+  const decoded = jwt.decode(token, { complete: true });
+  const kid = decoded && decoded.header.kid;
+  const key = config.jwt.keys.find((key) => key.id === kid);
+  return key ? key.secret : null;
+};
+
+/**
+ * Creates a new refresh token for the user and stores its hash.
+ * @param {Object} user - The user document
+ * @param {string} [family] - The family of the token being replaced, a new family is started when omitted
+ * @returns {Promise<{refreshToken: string, tokenHash: string}>}
+ */
+let generateRefreshToken = async (user, family) => {
+  const refreshToken = crypto.randomBytes(32).toString("hex");
+  const tokenHash = RefreshTokens.hashToken(refreshToken);
+  await RefreshTokens.create({
+    User: user._id,
+    TokenHash: tokenHash,
+    Family: family || uuid.v4(),
+    ExpiresAt: new Date(Date.now() + refreshTokenLifetime),
+  });
+  return { refreshToken, tokenHash };
+};
+
+module.exports = { generateJWTToken, generateRefreshToken, jwtSecretFor };